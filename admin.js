@@ -0,0 +1,347 @@
+/**
+ * GitHub App Token Broker - Admin API
+ *
+ * Routes under /admin/ are for operators, not for broker clients. They are
+ * disabled unless the ADMIN_API_KEY_SHA256 secret holds the SHA-256 of an
+ * admin key, which callers send as "Authorization: Bearer <key>":
+ *
+ *   KEY="adm_$(openssl rand -hex 32)"; echo -n "$KEY" | sha256sum
+ */
+
+import { sha256Hex, timingSafeEqual } from './crypto-utils.js';
+import { queryAuditEvents, recordAuditEvent } from './audit-log.js';
+import { openRecord } from './kv-crypto.js';
+import { listSessions, getSessionById, deleteUserSessions } from './token-vault.js';
+import { githubRequest, githubHosts, appBasicAuth, refreshUserToken } from './github-api.js';
+import { isOtherAppKey } from './apps.js';
+import { log, errorFields } from './log.js';
+
+// Check the admin key, returns the error Response to send back or null
+async function authenticateAdmin(request, env) {
+  const authHeader = request.headers.get('Authorization') || '';
+  const adminKey = authHeader.match(/^Bearer\s+(.+)$/i)?.[1];
+  const expected = String(env.ADMIN_API_KEY_SHA256).toLowerCase();
+  
+  if (!adminKey || !timingSafeEqual(await sha256Hex(adminKey), expected)) {
+    return new Response(JSON.stringify({
+      error: 'unauthorized',
+      error_description: 'A valid admin key is required in the Authorization header'
+    }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  return null;
+}
+
+// Handle GET /admin/audit - query the audit log
+// Filters: from, to (ISO timestamps), login, event, limit; format=jsonl for JSON Lines
+async function handleAuditQuery(request, env, url) {
+  if (!env.AUDIT_LOG) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Audit log not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const params = url.searchParams;
+  const filters = {
+    login: params.get('login') || undefined,
+    event: params.get('event') || undefined,
+    limit: params.get('limit') || undefined
+  };
+  
+  // Normalize the time range so it compares with the ISO timestamps in keys
+  for (const bound of ['from', 'to']) {
+    const value = params.get(bound);
+    if (!value) {
+      continue;
+    }
+    
+    const time = new Date(value);
+    if (isNaN(time)) {
+      return new Response(JSON.stringify({
+        error: `${bound} must be an ISO 8601 timestamp`
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    filters[bound] = time.toISOString();
+  }
+  
+  const events = await queryAuditEvents(env, filters);
+  
+  if (params.get('format') === 'jsonl') {
+    return new Response(events.map(event => JSON.stringify(event) + '\n').join(''), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/x-ndjson',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+  
+  return new Response(JSON.stringify({
+    count: events.length,
+    events
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+// Handle GET /admin/pending - device codes and web flow states not yet collected
+// Codes and states are secrets, so only a short prefix identifies each entry
+async function handlePendingFlows(request, env) {
+  const pending = [];
+  
+  for (const [flow, namespace] of [['device', env.DEVICE_CODES], ['web', env.AUTH_STATES]]) {
+    if (!namespace) {
+      continue;
+    }
+    
+    let cursor;
+    do {
+      const page = await namespace.list({ cursor });
+      
+      for (const { name, expiration } of page.keys) {
+        if (isOtherAppKey(env, name)) {
+          continue;
+        }
+        
+        const record = await openRecord(env, name, await namespace.get(name, 'json'));
+        if (!record) {
+          continue;
+        }
+        
+        pending.push({
+          flow,
+          id: name.slice(0, 8),
+          status: record.status || 'pending',
+          client: record.client,
+          user_code: record.user_code,
+          created_at: record.created_at ? new Date(record.created_at).toISOString() : undefined,
+          expires_at: expiration ? new Date(expiration * 1000).toISOString() : undefined
+        });
+      }
+      
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+  }
+  
+  return new Response(JSON.stringify({
+    count: pending.length,
+    pending
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+// Handle GET /admin/users/<login>/tokens - what the broker issued to a user
+// Vault sessions are listed from the token vault; tokens handed out directly
+// are only known from the audit log, which all apps share
+async function handleUserTokens(request, env, login) {
+  const sessions = env.TOKEN_VAULT ? await listSessions(env, { login }) : [];
+  const issued = env.AUDIT_LOG
+    ? await queryAuditEvents(env, { login, event: 'flow.completed', app: env.BROKER_APP?.slug || '' })
+    : undefined;
+  
+  return new Response(JSON.stringify({
+    login,
+    sessions,
+    issued
+  }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+// Handle POST /admin/users/<login>/revoke - revoke the user's authorization of
+// the app, which invalidates every token GitHub issued to them through it
+//
+// GitHub's grant deletion needs one of the user's tokens, so this works when
+// the broker holds a vault session for them. Their sessions are removed either
+// way, also when GitHub fails to delete the grant.
+async function handleUserRevoke(request, env, login) {
+  if (!env.GITHUB_CLIENT_SECRET) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Token revocation not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const sessions = env.TOKEN_VAULT ? await listSessions(env, { login }) : [];
+  const records = [];
+  
+  for (const session of sessions) {
+    const record = await getSessionById(env, session.id);
+    if (record) {
+      records.push(record);
+    }
+  }
+  
+  let sessionsRemoved = 0;
+  for (const userId of new Set(sessions.map(session => session.user_id))) {
+    sessionsRemoved += await deleteUserSessions(env, userId);
+  }
+  
+  let grantRevoked = false;
+  let grantError;
+  
+  try {
+    for (const record of records) {
+      grantRevoked = await deleteGrant(env, record.access_token);
+      
+      // An expired access token is no good for the grant API, a fresh one is
+      if (!grantRevoked && record.refresh_token) {
+        const data = await refreshUserToken(env, record.refresh_token);
+        if (data.access_token) {
+          grantRevoked = await deleteGrant(env, data.access_token);
+        }
+      }
+      
+      if (grantRevoked) {
+        break;
+      }
+    }
+  } catch (error) {
+    log(env, 'error', 'Grant revocation failed', errorFields(error));
+    grantError = error.message;
+  }
+  
+  await recordAuditEvent(env, request, {
+    event: 'token.revoked',
+    login,
+    user_id: sessions[0]?.user_id,
+    reason: grantRevoked
+      ? 'Grant revoked by admin'
+      : `Sessions removed by admin${grantError ? `, grant revocation failed: ${grantError}` : ''}`
+  });
+  
+  return new Response(JSON.stringify({
+    login,
+    grant_revoked: grantRevoked,
+    sessions_removed: sessionsRemoved,
+    ...(grantError && {
+      error: 'server_error',
+      error_description: `Sessions were removed, but the grant could not be revoked: ${grantError}`
+    }),
+    ...(!grantRevoked && !grantError && {
+      message: `The broker holds no usable token for ${login}. Tokens handed out directly stay valid until they expire or the user revokes the app at ${githubHosts(env).web}/settings/apps/authorizations`
+    })
+  }), {
+    status: grantError ? 502 : 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// DELETE /applications/{client_id}/grant, true when GitHub revoked the grant
+async function deleteGrant(env, accessToken) {
+  const response = await githubRequest(env, `/applications/${env.GITHUB_CLIENT_ID}/grant`, {
+    method: 'DELETE',
+    auth: appBasicAuth(env),
+    body: { access_token: accessToken }
+  });
+  
+  // 404/422: GitHub does not know the token (expired or already revoked)
+  if (response.status === 404 || response.status === 422) {
+    return false;
+  }
+  
+  if (response.status !== 204) {
+    throw new Error(`GitHub returned ${response.status} while revoking grant`);
+  }
+  
+  return true;
+}
+
+// Main request handler
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    
+    // Without a configured admin key the admin API does not exist
+    if (!env.ADMIN_API_KEY_SHA256) {
+      return new Response(JSON.stringify({
+        error: 'Not found'
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const denied = await authenticateAdmin(request, env);
+    if (denied) {
+      return denied;
+    }
+    
+    try {
+      // /admin/users/<login>/tokens and /admin/users/<login>/revoke
+      const userRoute = url.pathname.match(/^\/admin\/users\/([A-Za-z0-9-]+)\/(tokens|revoke)$/);
+      
+      if (userRoute) {
+        const [, login, action] = userRoute;
+        
+        if (action === 'tokens') {
+          if (request.method !== 'GET') {
+            return new Response('Method not allowed', { status: 405 });
+          }
+          return await handleUserTokens(request, env, login);
+        }
+        
+        if (request.method !== 'POST') {
+          return new Response('Method not allowed', { status: 405 });
+        }
+        return await handleUserRevoke(request, env, login);
+      }
+      
+      switch (url.pathname) {
+        case '/admin/audit':
+          if (request.method !== 'GET') {
+            return new Response('Method not allowed', { status: 405 });
+          }
+          return await handleAuditQuery(request, env, url);
+        
+        case '/admin/pending':
+          if (request.method !== 'GET') {
+            return new Response('Method not allowed', { status: 405 });
+          }
+          return await handlePendingFlows(request, env);
+        
+        default:
+          return new Response(JSON.stringify({
+            error: 'Not found'
+          }), {
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+          });
+      }
+    } catch (error) {
+      log(env, 'error', 'Admin request failed', errorFields(error));
+      return new Response(JSON.stringify({
+        error: 'Internal server error'
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+};
@@ -0,0 +1,90 @@
+// GitHub App authentication
+// Signs app JWTs, reuses them until they are close to expiry, and supports
+// zero-downtime private key rotation with a second key:
+//
+//   GITHUB_APP_PRIVATE_KEY       - current key
+//   GITHUB_APP_PRIVATE_KEY_NEXT  - optional second key during a rotation window
+//   GITHUB_APP_PREFERRED_KEY     - "next" to try the second key first (default: current)
+//
+// When GitHub rejects a JWT with 401 (key deleted or not registered yet), the
+// request is retried with the other key, which then stays preferred for the
+// lifetime of the isolate.
+
+import { signJWT } from './jwt-simple.js';
+import { githubRequest } from './github-api.js';
+import { log } from './log.js';
+
+// GitHub accepts app JWTs for at most 10 minutes
+const JWT_LIFETIME = 600;
+// Sign a new JWT once the cached one has less than this many seconds left
+const JWT_RENEW_MARGIN = 60;
+
+const jwtCache = new Map();
+let workingKey = null;
+
+// Create JWT for GitHub App authentication, reusing a cached one if still fresh
+export async function createAppJWT(appId, privateKey) {
+  const now = Math.floor(Date.now() / 1000);
+  const cacheKey = `${appId}:${privateKey}`;
+  const cached = jwtCache.get(cacheKey);
+  
+  if (cached && cached.exp - now > JWT_RENEW_MARGIN) {
+    return cached.jwt;
+  }
+  
+  const payload = {
+    iat: now - 60,           // Issued 60 seconds ago to account for clock drift
+    exp: now + JWT_LIFETIME, // Expires in 10 minutes
+    iss: appId               // Issuer is the app ID
+  };
+  
+  const jwt = await signJWT(payload, privateKey);
+  jwtCache.set(cacheKey, { jwt, exp: payload.exp });
+  
+  return jwt;
+}
+
+// Make a GitHub API request authenticated as the app, falling back to the
+// other private key if GitHub rejects the JWT
+export async function appRequest(env, path, options = {}) {
+  const keys = appPrivateKeys(env);
+  
+  if (keys.length === 0) {
+    throw new Error('GitHub App private key not configured');
+  }
+  
+  for (const [index, privateKey] of keys.entries()) {
+    const jwt = await createAppJWT(env.GITHUB_APP_ID, privateKey);
+    const response = await githubRequest(env, path, { ...options, auth: `Bearer ${jwt}` });
+    
+    if (response.status !== 401) {
+      workingKey = privateKey;
+      return response;
+    }
+    
+    // Do not keep handing out a JWT GitHub no longer accepts
+    jwtCache.delete(`${env.GITHUB_APP_ID}:${privateKey}`);
+    
+    if (index === keys.length - 1) {
+      return response;
+    }
+    
+    log(env, 'warn', 'GitHub rejected app JWT, retrying with the other private key');
+  }
+}
+
+// Configured private keys, the one to try first at the front
+function appPrivateKeys(env) {
+  const keys = [env.GITHUB_APP_PRIVATE_KEY, env.GITHUB_APP_PRIVATE_KEY_NEXT].filter(Boolean);
+  
+  if (env.GITHUB_APP_PREFERRED_KEY === 'next') {
+    keys.reverse();
+  }
+  
+  // Stick with whichever key last worked
+  if (workingKey && keys.includes(workingKey)) {
+    return [workingKey, ...keys.filter(key => key !== workingKey)];
+  }
+  
+  return keys;
+}
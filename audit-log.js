@@ -0,0 +1,98 @@
+// Audit log of token issuance
+//
+// Every flow start, completion, denial, failure and expiry, every token refresh
+// and revocation and every installation token is written to the AUDIT_LOG KV
+// namespace as "audit:<ISO time>:<id>", so a key listing is in chronological
+// order. The event type, login and app are duplicated into the key metadata,
+// which lets queries filter without reading every record.
+// Auditing is off when the namespace is not bound.
+//
+// Events never contain tokens, only who got what, when and from where.
+
+import { randomToken } from './crypto-utils.js';
+import { countFlowEvent } from './metrics.js';
+import { log } from './log.js';
+
+// Default retention: 90 days
+const DEFAULT_RETENTION_DAYS = 90;
+
+// Upper bound for a single query, every match costs a KV read
+const MAX_QUERY_RESULTS = 1000;
+
+// Record an audit event
+// fields: event ('flow.started', 'flow.completed', 'flow.denied', 'flow.failed',
+// 'flow.expired', 'token.refreshed', 'token.revoked', 'installation_token.issued'),
+// flow, client, login, user_id, scope, granted_scope, repository, permissions, reason
+// Events of GITHUB_APPS apps also get the app slug
+// Never throws - a broken audit log must not break token issuance
+export async function recordAuditEvent(env, request, fields) {
+  // Flow events are counted in the metrics whether or not auditing is on
+  if (fields.event?.startsWith('flow.')) {
+    countFlowEvent(env, fields.flow, fields.event.slice('flow.'.length));
+  }
+  
+  if (!env.AUDIT_LOG) {
+    return;
+  }
+  
+  const time = new Date().toISOString();
+  const entry = {
+    time,
+    app: env.BROKER_APP?.slug,
+    ...fields,
+    ip: request.headers.get('CF-Connecting-IP') || undefined,
+    user_agent: request.headers.get('User-Agent')?.slice(0, 256) || undefined
+  };
+  const retentionDays = parseInt(env.AUDIT_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+  
+  try {
+    await env.AUDIT_LOG.put(`audit:${time}:${randomToken(8)}`, JSON.stringify(entry), {
+      expirationTtl: retentionDays * 24 * 60 * 60,
+      metadata: { event: entry.event, login: entry.login, app: entry.app }
+    });
+  } catch (error) {
+    log(env, 'warn', 'Failed to record audit event', { error: error.message });
+  }
+}
+
+// Find audit events, oldest first
+// filters: from/to (ISO timestamps, inclusive), login, event, limit, app (a
+// GITHUB_APPS slug, or '' for the top-level app's events)
+export async function queryAuditEvents(env, { from, to, login, event, app, limit } = {}) {
+  const max = Math.min(parseInt(limit, 10) || MAX_QUERY_RESULTS, MAX_QUERY_RESULTS);
+  const events = [];
+  let cursor;
+  
+  do {
+    const page = await env.AUDIT_LOG.list({ prefix: 'audit:', cursor });
+    
+    for (const { name, metadata } of page.keys) {
+      // "audit:" + 24 character ISO timestamp
+      const time = name.slice(6, 30);
+      
+      if (to && time > to) {
+        return events;
+      }
+      
+      if ((from && time < from) ||
+          (login && metadata?.login?.toLowerCase() !== login.toLowerCase()) ||
+          (event && metadata?.event !== event) ||
+          (app !== undefined && (metadata?.app || '') !== app)) {
+        continue;
+      }
+      
+      const entry = await env.AUDIT_LOG.get(name, 'json');
+      if (entry) {
+        events.push(entry);
+      }
+      
+      if (events.length >= max) {
+        return events;
+      }
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return events;
+}
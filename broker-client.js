@@ -0,0 +1,250 @@
+// JavaScript client for the token broker
+//
+// Wraps the start/poll loops of the device flow (/user-token/*) and the web
+// flow (/auth/*), so consumers do not have to reimplement them:
+//
+//   import { BrokerClient } from './broker-client.js';
+//
+//   const client = new BrokerClient({ url: 'https://as-bot-worker.example.workers.dev' });
+//   const flow = await client.startDeviceFlow();
+//   console.log(`Open ${flow.verification_uri} and enter ${flow.user_code}`);
+//   const token = await client.waitForToken(flow);
+//
+// Broker errors are thrown as BrokerError subclasses, one per error code
+// (ExpiredTokenError, AccessDeniedError, ...), with the code, description and
+// HTTP status attached.
+//
+// A token cache can be plugged in as any object with async get(key),
+// set(key, token) and delete(key). getToken() uses it to hand out a cached
+// token until it expires.
+
+// Hand out cached tokens only while they have this many seconds left
+const EXPIRY_MARGIN = 60;
+
+// The web flow does not tell clients how often to poll
+const DEFAULT_INTERVAL = 5;
+
+export class BrokerError extends Error {
+  constructor(code, description, status) {
+    super(description ? `${code}: ${description}` : code);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.description = description;
+    this.status = status;
+  }
+  
+  // Build the matching error class for a broker error response
+  static from(status, body = {}) {
+    // Validation errors carry a sentence in error instead of a code
+    const code = typeof body.error === 'string' && /^[a-z_]+$/.test(body.error)
+      ? body.error
+      : status >= 500 ? 'server_error' : 'invalid_request';
+    const description = body.error_description || (code === body.error ? undefined : body.error);
+    const ErrorClass = ERROR_CLASSES[code] || BrokerError;
+    const error = new ErrorClass(code, description, status);
+    
+    if (body.retry_after !== undefined) {
+      error.retryAfter = body.retry_after;
+    }
+    if (body.interval !== undefined) {
+      error.interval = body.interval;
+    }
+    
+    return error;
+  }
+}
+
+export class InvalidRequestError extends BrokerError {}
+export class InvalidClientError extends BrokerError {}
+export class UnauthorizedClientError extends BrokerError {}
+export class InvalidGrantError extends BrokerError {}
+export class InvalidScopeError extends BrokerError {}
+export class InvalidTokenError extends BrokerError {}
+export class InvalidSessionError extends BrokerError {}
+export class InvalidPollSecretError extends BrokerError {}
+export class AuthorizationPendingError extends BrokerError {}
+export class SlowDownError extends BrokerError {}
+export class RateLimitedError extends BrokerError {}
+export class AccessDeniedError extends BrokerError {}
+export class ExpiredTokenError extends BrokerError {}
+export class InstallationRequestedError extends BrokerError {}
+export class ApplicationSuspendedError extends BrokerError {}
+export class RedirectUriMismatchError extends BrokerError {}
+export class BadVerificationCodeError extends BrokerError {}
+export class BadRefreshTokenError extends BrokerError {}
+export class IncorrectDeviceCodeError extends BrokerError {}
+export class TemporarilyUnavailableError extends BrokerError {}
+export class ServerError extends BrokerError {}
+
+const ERROR_CLASSES = {
+  invalid_request: InvalidRequestError,
+  invalid_client: InvalidClientError,
+  unauthorized_client: UnauthorizedClientError,
+  invalid_grant: InvalidGrantError,
+  invalid_scope: InvalidScopeError,
+  invalid_token: InvalidTokenError,
+  invalid_session: InvalidSessionError,
+  invalid_poll_secret: InvalidPollSecretError,
+  authorization_pending: AuthorizationPendingError,
+  slow_down: SlowDownError,
+  rate_limited: RateLimitedError,
+  access_denied: AccessDeniedError,
+  expired_token: ExpiredTokenError,
+  installation_requested: InstallationRequestedError,
+  // GitHub's own codes, passed on by the web flow, refreshes and device polls
+  application_suspended: ApplicationSuspendedError,
+  redirect_uri_mismatch: RedirectUriMismatchError,
+  bad_verification_code: BadVerificationCodeError,
+  bad_refresh_token: BadRefreshTokenError,
+  incorrect_device_code: IncorrectDeviceCodeError,
+  temporarily_unavailable: TemporarilyUnavailableError,
+  server_error: ServerError
+};
+
+// Token cache that lives as long as the process
+export class MemoryTokenCache {
+  constructor() {
+    this.tokens = new Map();
+  }
+  
+  async get(key) {
+    return this.tokens.get(key) || null;
+  }
+  
+  async set(key, token) {
+    this.tokens.set(key, token);
+  }
+  
+  async delete(key) {
+    this.tokens.delete(key);
+  }
+}
+
+export class BrokerClient {
+  // options: url (required), apiKey (registered clients), cache, fetch, sleep
+  constructor({ url, apiKey, cache, fetch, sleep } = {}) {
+    if (!url) {
+      throw new Error('BrokerClient needs the broker url');
+    }
+    
+    this.url = url.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.cache = cache || new MemoryTokenCache();
+    this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+  
+  // Start the device flow
+  // options: repositories, repository_ids, permissions, target (token scoping),
+  // session (collect a vault session handle instead of the token)
+  // Returns { device_code, user_code, verification_uri, expires_in, interval }
+  async startDeviceFlow(options = {}) {
+    const { session, ...scope } = options;
+    const flow = await this.request('/user-token/start', scope);
+    return session ? { ...flow, session: true } : flow;
+  }
+  
+  // Start the web flow, returns { auth_url, state, poll_secret, expires_in }
+  // Send the user to auth_url and keep poll_secret to yourself
+  // options: install (install the app first), redirect_uri (web apps)
+  async startWebFlow(options = {}) {
+    return await this.request('/auth/start', options);
+  }
+  
+  // Poll until the user has authorized a device or web flow and return the
+  // token response. Waits interval seconds between polls, slows down when the
+  // broker asks to, and throws ExpiredTokenError once the flow has expired.
+  // options.signal (AbortSignal) stops waiting
+  async waitForToken(flow, { signal } = {}) {
+    const isDeviceFlow = Boolean(flow.device_code);
+    const endpoint = isDeviceFlow ? '/user-token/poll' : '/auth/poll';
+    const body = isDeviceFlow
+      ? { device_code: flow.device_code, session: flow.session }
+      : { state: flow.state, poll_secret: flow.poll_secret };
+    const deadline = Date.now() + (flow.expires_in || 900) * 1000;
+    let interval = flow.interval || DEFAULT_INTERVAL;
+    
+    while (Date.now() < deadline) {
+      await this.sleep(interval * 1000);
+      signal?.throwIfAborted();
+      
+      try {
+        return await this.request(endpoint, body);
+      } catch (error) {
+        // The interval only ever grows: a slow_down holds for all later polls
+        if (error instanceof AuthorizationPendingError) {
+          interval = Math.max(interval, error.interval || 0);
+        } else if (error instanceof SlowDownError) {
+          interval = Math.max(interval + 5, error.interval || 0);
+        } else if (error instanceof RateLimitedError) {
+          interval = Math.max(interval, error.retryAfter || 0);
+        } else {
+          throw error;
+        }
+      }
+    }
+    
+    throw new ExpiredTokenError('expired_token', 'The flow expired before the user authorized it', 400);
+  }
+  
+  // Swap a refresh token for a new token pair
+  async refreshToken(refreshToken) {
+    return await this.request('/user-token/refresh', { refresh_token: refreshToken });
+  }
+  
+  // Return a usable token: from the cache, by refreshing it, or through a
+  // new device flow. onVerification(flow) is called with the user code to show.
+  async getToken({ onVerification, signal } = {}) {
+    const cached = await this.cache.get(this.url);
+    
+    if (cached && Date.parse(cached.expires_at) - Date.now() > EXPIRY_MARGIN * 1000) {
+      return cached;
+    }
+    
+    let token = null;
+    
+    if (cached?.refresh_token) {
+      token = await this.refreshToken(cached.refresh_token).catch(error => {
+        if (error instanceof BrokerError && error.status < 500) {
+          return null;
+        }
+        throw error;
+      });
+    }
+    
+    if (!token) {
+      const flow = await this.startDeviceFlow();
+      await onVerification?.(flow);
+      token = await this.waitForToken(flow, { signal });
+    }
+    
+    await this.cache.set(this.url, token);
+    return token;
+  }
+  
+  // Drop the cached token, e.g. after GitHub rejected it
+  async clearToken() {
+    await this.cache.delete(this.url);
+  }
+  
+  async request(endpoint, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    
+    if (this.apiKey) {
+      headers['X-API-Key'] = this.apiKey;
+    }
+    
+    const response = await this.fetch(`${this.url}${endpoint}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => ({}));
+    
+    if (response.status !== 200) {
+      throw BrokerError.from(response.status, data);
+    }
+    
+    return data;
+  }
+}
@@ -0,0 +1,196 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import worker from './worker.js';
+import {
+  BrokerClient,
+  BrokerError,
+  ExpiredTokenError,
+  InvalidClientError,
+  AccessDeniedError,
+  RedirectUriMismatchError,
+  TemporarilyUnavailableError,
+  BadRefreshTokenError,
+  MemoryTokenCache
+} from './broker-client.js';
+
+const BROKER_URL = 'https://broker.example.com';
+
+// The worker logs every request as a JSON line; keep them out of the test output
+mock.method(console, 'log', () => {});
+
+// In-memory stand-in for a KV namespace
+function memoryKV() {
+  const store = new Map();
+  return {
+    store,
+    get: async (key, type) => {
+      const value = store.has(key) ? store.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    put: async (key, value) => { store.set(key, value); },
+    delete: async (key) => { store.delete(key); },
+    list: async ({ prefix = '' } = {}) => ({
+      keys: [...store.keys()].filter(key => key.startsWith(prefix)).map(name => ({ name })),
+      list_complete: true
+    })
+  };
+}
+
+// GitHub's side of the flows: the OAuth token endpoint answers with the
+// queued responses in order, then with a token
+function mockGitHub(pending = []) {
+  return mock.fn(async (url) => {
+    if (url.endsWith('/login/device/code')) {
+      return Response.json({
+        device_code: 'device_abc123',
+        user_code: 'ABCD-1234',
+        verification_uri: 'https://github.com/login/device',
+        expires_in: 900,
+        interval: 5
+      });
+    }
+    if (url.endsWith('/login/oauth/access_token')) {
+      return Response.json(pending.shift() || {
+        access_token: 'ghu_usertoken456',
+        token_type: 'bearer',
+        expires_in: 28800
+      });
+    }
+    return new Response('Not found', { status: 404 });
+  });
+}
+
+describe('BrokerClient', () => {
+  let env;
+  let originalFetch;
+  let sleep;
+  let client;
+  
+  beforeEach(() => {
+    env = {
+      GITHUB_CLIENT_ID: 'Iv1.abc123def456',
+      GITHUB_CLIENT_SECRET: 'secret123',
+      DEVICE_CODES: memoryKV(),
+      AUTH_STATES: memoryKV()
+    };
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = mockGitHub();
+    sleep = mock.fn(async () => {});
+    
+    // The client talks to the worker's own fetch export
+    client = new BrokerClient({
+      url: BROKER_URL,
+      fetch: (url, init) => worker.fetch(new Request(url, init), env, {}),
+      sleep
+    });
+  });
+  
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+  
+  test('runs the device flow, respecting interval and slow_down', async () => {
+    globalThis.fetch = mockGitHub([
+      { error: 'authorization_pending' },
+      { error: 'slow_down' },
+      { error: 'authorization_pending' },
+      { error: 'authorization_pending' }
+    ]);
+    
+    const flow = await client.startDeviceFlow();
+    assert.equal(flow.user_code, 'ABCD-1234');
+    
+    const token = await client.waitForToken(flow);
+    
+    // Once slowed down, the client never goes back to the original interval
+    assert.equal(token.access_token, 'ghu_usertoken456');
+    assert.deepEqual(sleep.mock.calls.map(call => call.arguments[0]), [5000, 5000, 10000, 10000, 10000]);
+  });
+  
+  test('stops on expired_token', async () => {
+    const flow = await client.startDeviceFlow();
+    env.DEVICE_CODES.store.clear();
+    
+    const error = await client.waitForToken(flow).catch(error => error);
+    
+    assert.ok(error instanceof ExpiredTokenError);
+    assert.ok(error instanceof BrokerError);
+    assert.equal(error.code, 'expired_token');
+    assert.equal(error.status, 400);
+    assert.equal(sleep.mock.callCount(), 1);
+  });
+  
+  test('throws typed errors for denied flows and unknown clients', async () => {
+    globalThis.fetch = mockGitHub([{ error: 'access_denied', error_description: 'The user has denied your application access.' }]);
+    const flow = await client.startDeviceFlow();
+    await assert.rejects(client.waitForToken(flow), AccessDeniedError);
+    
+    env.BROKER_CLIENTS = JSON.stringify({ 'ai-aligned-gh': { key_sha256: '00', flows: ['device'] } });
+    await assert.rejects(client.startDeviceFlow(), error => {
+      assert.ok(error instanceof InvalidClientError);
+      assert.equal(error.status, 401);
+      return true;
+    });
+  });
+  
+  test('runs the web flow against /auth/start and /auth/poll', async () => {
+    const flow = await client.startWebFlow();
+    assert.ok(flow.auth_url.startsWith('https://github.com/login/oauth/authorize?'));
+    
+    // The user completes authorization while the client waits
+    sleep.mock.mockImplementation(async () => {
+      if (sleep.mock.callCount() === 1) {
+        await worker.fetch(new Request(`${BROKER_URL}/auth/callback?code=code123&state=${flow.state}`), env, {});
+      }
+    });
+    
+    const token = await client.waitForToken(flow);
+    
+    assert.equal(token.access_token, 'ghu_usertoken456');
+    assert.equal(sleep.mock.callCount(), 2);
+  });
+  
+  test('throws typed errors for failed web flows and refreshes', async () => {
+    const failWebFlow = async (callbackQuery) => {
+      const flow = await client.startWebFlow();
+      await worker.fetch(new Request(`${BROKER_URL}/auth/callback?${callbackQuery}&state=${flow.state}`), env, {});
+      return await client.waitForToken(flow).catch(error => error);
+    };
+    
+    const mismatch = await failWebFlow('error=redirect_uri_mismatch');
+    assert.ok(mismatch instanceof RedirectUriMismatchError);
+    assert.equal(mismatch.code, 'redirect_uri_mismatch');
+    
+    // GitHub is down during the code exchange
+    globalThis.fetch = mock.fn(async () => new Response('Service Unavailable', { status: 503 }));
+    const outage = await failWebFlow('code=code123');
+    assert.ok(outage instanceof TemporarilyUnavailableError);
+    assert.ok(outage instanceof BrokerError);
+    
+    globalThis.fetch = mockGitHub([{ error: 'bad_refresh_token', error_description: 'The refresh token passed is incorrect or expired.' }]);
+    await assert.rejects(client.refreshToken('ghr_stale'), BadRefreshTokenError);
+  });
+  
+  test('getToken caches tokens until they expire', async () => {
+    const cache = new MemoryTokenCache();
+    client = new BrokerClient({
+      url: BROKER_URL,
+      fetch: mock.fn((url, init) => worker.fetch(new Request(url, init), env, {})),
+      cache,
+      sleep
+    });
+    const onVerification = mock.fn();
+    
+    const first = await client.getToken({ onVerification });
+    const second = await client.getToken({ onVerification });
+    
+    assert.equal(second.access_token, first.access_token);
+    assert.equal(onVerification.mock.callCount(), 1);
+    assert.equal(onVerification.mock.calls[0].arguments[0].user_code, 'ABCD-1234');
+    assert.equal(client.fetch.mock.callCount(), 2);
+    
+    await client.clearToken();
+    assert.equal(await cache.get(BROKER_URL), null);
+  });
+});
@@ -0,0 +1,126 @@
+// Registered broker clients
+//
+// When the BROKER_CLIENTS secret is set, the flow endpoints only serve
+// registered clients. It maps client names to the SHA-256 of their API key
+// and the flows they may use:
+//
+//   {
+//     "ai-aligned-gh": { "key_sha256": "<hex>", "flows": ["device", "web"] },
+//     "dashboard":     { "key_sha256": "<hex>", "flows": ["web"] }
+//   }
+//
+// Clients send their key in the X-API-Key header, or on the /oauth/ endpoints as
+// client secret (HTTP Basic or client_secret parameter) with the client name as
+// client ID. Only hashes are configured, so the secret itself never contains a
+// usable key:
+//
+//   KEY="abk_$(openssl rand -hex 32)"; echo -n "$KEY" | sha256sum
+
+import { sha256Hex, timingSafeEqual } from './crypto-utils.js';
+
+// Which flow an endpoint belongs to; endpoints not listed are open to any client
+const ENDPOINT_FLOWS = {
+  '/user-token/start': 'device',
+  '/user-token/poll': 'device',
+  '/auth/start': 'web',
+  '/auth/poll': 'web'
+};
+
+// Authenticate the calling client for an endpoint
+// credentials default to the X-API-Key header; the OAuth endpoints pass
+// { clientId, apiKey } from oauthClientCredentials instead
+// Returns { client } (null when no registry is configured) or { denied } with
+// the error Response to send back
+export async function authenticateClient(request, env, pathname, credentials = null) {
+  const registry = parseRegistry(env.BROKER_CLIENTS);
+  
+  if (!registry) {
+    return { client: null };
+  }
+  
+  const apiKey = credentials ? credentials.apiKey : request.headers.get('X-API-Key');
+  const keyHash = apiKey ? await sha256Hex(apiKey) : null;
+  const match = keyHash && Object.entries(registry)
+    .find(([, config]) => timingSafeEqual(keyHash, String(config.key_sha256 || '').toLowerCase()));
+  
+  if (!match) {
+    return {
+      denied: new Response(JSON.stringify({
+        error: 'invalid_client',
+        error_description: 'A valid client API key is required in the X-API-Key header'
+      }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    };
+  }
+  
+  const [name, config] = match;
+  
+  // An OAuth client ID, when sent, has to name the client the key belongs to
+  if (credentials?.clientId && credentials.clientId !== name) {
+    return {
+      denied: new Response(JSON.stringify({
+        error: 'invalid_client',
+        error_description: 'client_id does not match the client credentials'
+      }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    };
+  }
+  
+  const flow = ENDPOINT_FLOWS[pathname];
+  
+  if (flow && !(config.flows || []).includes(flow)) {
+    return {
+      denied: new Response(JSON.stringify({
+        error: 'unauthorized_client',
+        error_description: `Client ${name} is not allowed to use the ${flow} flow`
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    };
+  }
+  
+  return { client: { name, flows: config.flows || [] } };
+}
+
+// Client credentials of an OAuth token endpoint request (RFC 6749 section 2.3.1):
+// HTTP Basic with the client name and key, client_id/client_secret parameters,
+// or the X-API-Key header as elsewhere
+export function oauthClientCredentials(request, params) {
+  const basic = (request.headers.get('Authorization') || '').match(/^Basic\s+(.+)$/i)?.[1];
+  
+  if (basic) {
+    try {
+      const decoded = atob(basic);
+      const separator = decoded.indexOf(':');
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        apiKey: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    } catch (error) {
+      // Malformed Basic credentials authenticate nobody
+      return { clientId: null, apiKey: null };
+    }
+  }
+  
+  return {
+    clientId: params.get('client_id') || null,
+    apiKey: params.get('client_secret') || request.headers.get('X-API-Key')
+  };
+}
+
+function parseRegistry(config) {
+  if (!config) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(config);
+  } catch (error) {
+    throw new Error('BROKER_CLIENTS is not valid JSON');
+  }
+}
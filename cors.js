@@ -0,0 +1,57 @@
+// CORS for browser clients
+//
+// ALLOWED_ORIGINS is a comma-separated list of origins, such as
+// "https://dashboard.example.com,http://localhost:5173". "*" allows any origin.
+// Requests from other origins get no CORS headers, so browsers block them.
+// An empty list (the default) means the broker does not serve browsers.
+
+const ALLOWED_HEADERS = 'Content-Type, Authorization, X-API-Key';
+const EXPOSED_HEADERS = 'Retry-After, X-Request-ID';
+
+// Answer a CORS preflight (OPTIONS) request
+export function handlePreflight(request, env) {
+  const origin = allowedOrigin(request, env);
+  
+  if (!origin) {
+    return new Response(null, { status: 403 });
+  }
+  
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+      'Access-Control-Max-Age': '86400',
+      'Vary': 'Origin'
+    }
+  });
+}
+
+// Add CORS headers to a response for an allowed origin
+export function withCors(request, env, response) {
+  const origin = allowedOrigin(request, env);
+  
+  if (origin) {
+    response.headers.set('Access-Control-Allow-Origin', origin);
+    response.headers.set('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+    response.headers.set('Vary', 'Origin');
+  }
+  
+  return response;
+}
+
+// The origin to echo back, or null when the request's origin is not allowed
+function allowedOrigin(request, env) {
+  const origin = request.headers.get('Origin');
+  
+  if (!origin) {
+    return null;
+  }
+  
+  const allowed = (env.ALLOWED_ORIGINS || '').split(',')
+    .map(entry => entry.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  
+  return allowed.includes('*') || allowed.includes(origin) ? origin : null;
+}
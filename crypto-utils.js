@@ -0,0 +1,36 @@
+// Small WebCrypto helpers shared across the broker
+
+// Random hex string, 32 bytes (256 bits) by default
+export function randomToken(bytes = 32) {
+  return toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+// Hex-encoded SHA-256 of a string
+export async function sha256Hex(value) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+}
+
+// Unpadded base64url, as used by PKCE and JWTs
+export function base64url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+}
+
+// Compare two strings without leaking where they differ
+export function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// Git credential helper that gets GitHub tokens through the broker
+//
+// With this helper, `git push` over HTTPS uses a user-to-server token. The push
+// is then attributed like any other ai-aligned-gh action. On `get`, the helper
+// runs the broker's device flow (/user-token/start, /user-token/poll). It caches
+// the token until it expires, and refreshes it when the broker can.
+//
+//   git config --global credential.https://github.com.helper \
+//     "as-a-bot --url https://as-bot-worker.example.workers.dev"
+//
+// Git runs "git-credential-as-a-bot [--url <broker>] [--host <host>] get|store|erase".
+// The broker URL can also come from AS_A_BOT_URL. The helper only answers for
+// the GitHub host given by --host or AS_A_BOT_HOST (default github.com), e.g.
+// the web host of a GitHub Enterprise Server. Registered clients set
+// AS_A_BOT_API_KEY. Tokens are cached in $XDG_CACHE_HOME/as-a-bot/credentials.json,
+// or in ~/.cache when XDG_CACHE_HOME is unset.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import { homedir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { BrokerClient } from './broker-client.js';
+
+// Parse git's credential input: key=value lines up to a blank line
+export function parseCredential(text) {
+  const credential = {};
+  
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      break;
+    }
+    const separator = line.indexOf('=');
+    if (separator > 0) {
+      credential[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+  
+  return credential;
+}
+
+// Serialize a credential for git
+export function formatCredential(credential) {
+  return Object.entries(credential)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${value}\n`)
+    .join('');
+}
+
+// BrokerClient token cache in a JSON file, keyed by broker URL
+export class FileTokenCache {
+  constructor(file) {
+    this.file = file;
+  }
+  
+  async get(key) {
+    return (await this.load())[key] || null;
+  }
+  
+  async set(key, token) {
+    const tokens = await this.load();
+    tokens[key] = token;
+    await this.save(tokens);
+  }
+  
+  async delete(key) {
+    const tokens = await this.load();
+    if (key in tokens) {
+      delete tokens[key];
+      await this.save(tokens);
+    }
+  }
+  
+  async load() {
+    try {
+      return JSON.parse(await readFile(this.file, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+  
+  // Tokens are credentials - keep them private to the user
+  async save(tokens) {
+    await mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    await writeFile(this.file, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+  }
+}
+
+// Get a valid token from the cache, by refreshing, or through the device flow
+// options: url, apiKey, cacheFile, fetch, sleep, log
+export async function getToken(options) {
+  const client = createClient(options);
+  
+  return await client.getToken({
+    onVerification: flow => options.log(`To authorize git, open ${flow.verification_uri} and enter the code ${flow.user_code}`)
+  });
+}
+
+// Drop a cached token, e.g. after git reported it was rejected
+export async function eraseToken(options, accessToken) {
+  const client = createClient(options);
+  const cached = await client.cache.get(client.url);
+  
+  if (cached && (!accessToken || cached.access_token === accessToken)) {
+    await client.clearToken();
+  }
+}
+
+function createClient({ url, apiKey, cacheFile, fetch, sleep }) {
+  return new BrokerClient({ url, apiKey, cache: new FileTokenCache(cacheFile), fetch, sleep });
+}
+
+function defaultCacheFile() {
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(homedir(), '.cache');
+  return path.join(cacheHome, 'as-a-bot', 'credentials.json');
+}
+
+async function readStdin() {
+  let text = '';
+  for await (const chunk of process.stdin) {
+    text += chunk;
+  }
+  return text;
+}
+
+async function main(args) {
+  let url = process.env.AS_A_BOT_URL;
+  let host = process.env.AS_A_BOT_HOST || 'github.com';
+  let action;
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--url') {
+      url = args[++i];
+    } else if (args[i] === '--host') {
+      host = args[++i];
+    } else {
+      action = args[i];
+    }
+  }
+  
+  if (!url) {
+    throw new Error('No broker URL configured - pass --url or set AS_A_BOT_URL');
+  }
+  
+  const input = parseCredential(await readStdin());
+  const options = {
+    url,
+    apiKey: process.env.AS_A_BOT_API_KEY,
+    cacheFile: defaultCacheFile(),
+    fetch: globalThis.fetch,
+    sleep: ms => new Promise(resolve => setTimeout(resolve, ms)),
+    // stdout belongs to git
+    log: message => process.stderr.write(`${message}\n`)
+  };
+  
+  // Only answer for GitHub over HTTPS, leave other hosts to other helpers
+  const isGitHub = input.protocol === 'https' && (input.host || '').toLowerCase() === host.toLowerCase();
+  
+  switch (action) {
+    case 'get': {
+      if (!isGitHub) {
+        return;
+      }
+      const token = await getToken(options);
+      process.stdout.write(formatCredential({
+        username: 'x-access-token',
+        password: token.access_token,
+        password_expiry_utc: token.expires_at ? Math.floor(Date.parse(token.expires_at) / 1000) : undefined
+      }));
+      return;
+    }
+    
+    case 'store':
+      // The cache is filled on get - nothing to add
+      return;
+    
+    case 'erase':
+      if (isGitHub) {
+        await eraseToken(options, input.password);
+      }
+      return;
+    
+    default:
+      // Git expects helpers to ignore actions they do not know
+      return;
+  }
+}
+
+// Only run when executed, not when imported by the tests
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch(error => {
+    process.stderr.write(`as-a-bot: ${error.message}\n`);
+    process.exit(1);
+  });
+}
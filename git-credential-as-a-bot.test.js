@@ -0,0 +1,196 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readFile, writeFile, mkdir } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import {
+  parseCredential,
+  formatCredential,
+  getToken,
+  eraseToken
+} from './git-credential-as-a-bot.js';
+
+const BROKER_URL = 'https://broker.example.com';
+const HELPER = fileURLToPath(new URL('./git-credential-as-a-bot.js', import.meta.url));
+
+// Fake broker answering the device flow endpoints from a list of poll responses
+function fakeBroker(pollResponses, refreshResponse = { status: 400, body: { error: 'bad_refresh_token' } }) {
+  return mock.fn(async (url, init) => {
+    const endpoint = new URL(url).pathname;
+    let status = 200;
+    let body;
+    
+    if (endpoint === '/user-token/start') {
+      body = {
+        device_code: 'device_abc123',
+        user_code: 'ABCD-1234',
+        verification_uri: 'https://github.com/login/device',
+        expires_in: 900,
+        interval: 5
+      };
+    } else if (endpoint === '/user-token/poll') {
+      ({ status, body } = pollResponses.shift());
+    } else if (endpoint === '/user-token/refresh') {
+      ({ status, body } = refreshResponse);
+    }
+    
+    return new Response(JSON.stringify(body), { status });
+  });
+}
+
+function run(args, input, env) {
+  return new Promise((resolve) => {
+    const child = execFile('node', [HELPER, ...args], { env: { ...process.env, ...env } }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+    child.stdin.end(input);
+  });
+}
+
+describe('Git credential helper', () => {
+  let dir;
+  let options;
+  
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'as-a-bot-'));
+    options = {
+      url: BROKER_URL,
+      cacheFile: path.join(dir, 'as-a-bot', 'credentials.json'),
+      sleep: mock.fn(async () => {}),
+      log: mock.fn()
+    };
+  });
+  
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+  
+  test('parses and formats the credential protocol', () => {
+    assert.deepEqual(parseCredential('protocol=https\nhost=github.com\n\nignored=1\n'), {
+      protocol: 'https',
+      host: 'github.com'
+    });
+    assert.equal(
+      formatCredential({ username: 'x-access-token', password: 'ghu_abc', password_expiry_utc: undefined }),
+      'username=x-access-token\npassword=ghu_abc\n'
+    );
+  });
+  
+  test('runs the device flow, honoring interval and slow_down', async () => {
+    const expiresAt = new Date(Date.now() + 8 * 3600 * 1000).toISOString();
+    options.fetch = fakeBroker([
+      { status: 202, body: { error: 'authorization_pending', interval: 5 } },
+      { status: 429, body: { error: 'slow_down', interval: 10 } },
+      // A broker that still reports the original interval must not speed the helper up
+      { status: 202, body: { error: 'authorization_pending', interval: 5 } },
+      { status: 200, body: { access_token: 'ghu_usertoken456', expires_at: expiresAt } }
+    ]);
+    
+    const token = await getToken(options);
+    
+    assert.equal(token.access_token, 'ghu_usertoken456');
+    assert.deepEqual(options.sleep.mock.calls.map(call => call.arguments[0]), [5000, 5000, 10000, 10000]);
+    assert.match(options.log.mock.calls[0].arguments[0], /ABCD-1234/);
+    
+    // The second get is served from the cache
+    const cached = await getToken(options);
+    assert.equal(cached.access_token, 'ghu_usertoken456');
+    assert.equal(options.fetch.mock.callCount(), 5);
+    
+    const cache = JSON.parse(await readFile(options.cacheFile, 'utf8'));
+    assert.equal(cache[BROKER_URL].expires_at, expiresAt);
+  });
+  
+  test('refreshes an expired token before starting a new flow', async () => {
+    await mkdir(path.dirname(options.cacheFile), { recursive: true });
+    await writeFile(options.cacheFile, JSON.stringify({
+      [BROKER_URL]: {
+        access_token: 'ghu_old',
+        expires_at: new Date(Date.now() - 1000).toISOString(),
+        refresh_token: 'ghr_refresh'
+      }
+    }));
+    options.fetch = fakeBroker([], {
+      status: 200,
+      body: {
+        access_token: 'ghu_refreshed',
+        expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+        refresh_token: 'ghr_next'
+      }
+    });
+    
+    const token = await getToken(options);
+    
+    assert.equal(token.access_token, 'ghu_refreshed');
+    assert.equal(token.refresh_token, 'ghr_next');
+    assert.equal(options.fetch.mock.callCount(), 1);
+    assert.deepEqual(JSON.parse(options.fetch.mock.calls[0].arguments[1].body), { refresh_token: 'ghr_refresh' });
+  });
+  
+  test('fails when the user denies access', async () => {
+    options.fetch = fakeBroker([
+      { status: 400, body: { error: 'access_denied', error_description: 'The user has denied your application access.' } }
+    ]);
+    
+    await assert.rejects(getToken(options), /denied your application access/);
+  });
+  
+  test('erase only drops the rejected token', async () => {
+    await mkdir(path.dirname(options.cacheFile), { recursive: true });
+    await writeFile(options.cacheFile, JSON.stringify({
+      [BROKER_URL]: { access_token: 'ghu_current', expires_at: new Date(Date.now() + 3600 * 1000).toISOString() }
+    }));
+    
+    await eraseToken(options, 'ghu_other');
+    assert.ok(JSON.parse(await readFile(options.cacheFile, 'utf8'))[BROKER_URL]);
+    
+    await eraseToken(options, 'ghu_current');
+    assert.deepEqual(JSON.parse(await readFile(options.cacheFile, 'utf8')), {});
+  });
+  
+  test('answers git for github.com and stays silent for other hosts', async () => {
+    const expiresAt = new Date(Date.now() + 3600 * 1000);
+    await mkdir(path.join(dir, 'as-a-bot'), { recursive: true });
+    await writeFile(options.cacheFile, JSON.stringify({
+      [BROKER_URL]: { access_token: 'ghu_cached', expires_at: expiresAt.toISOString() }
+    }));
+    const env = { XDG_CACHE_HOME: dir, AS_A_BOT_URL: '' };
+    
+    const get = await run(['--url', BROKER_URL, 'get'], 'protocol=https\nhost=github.com\n\n', env);
+    assert.equal(get.code, 0);
+    assert.equal(get.stdout, [
+      'username=x-access-token',
+      'password=ghu_cached',
+      `password_expiry_utc=${Math.floor(expiresAt.getTime() / 1000)}`,
+      ''
+    ].join('\n'));
+    
+    const other = await run(['--url', BROKER_URL, 'get'], 'protocol=https\nhost=gitlab.com\n\n', env);
+    assert.equal(other.code, 0);
+    assert.equal(other.stdout, '');
+    
+    const unconfigured = await run(['get'], 'protocol=https\nhost=github.com\n\n', env);
+    assert.equal(unconfigured.code, 1);
+    assert.match(unconfigured.stderr, /AS_A_BOT_URL/);
+  });
+  
+  test('answers git for the configured GitHub Enterprise host instead', async () => {
+    await mkdir(path.join(dir, 'as-a-bot'), { recursive: true });
+    await writeFile(options.cacheFile, JSON.stringify({
+      [BROKER_URL]: { access_token: 'ghu_cached', expires_at: new Date(Date.now() + 3600 * 1000).toISOString() }
+    }));
+    const env = { XDG_CACHE_HOME: dir, AS_A_BOT_URL: BROKER_URL, AS_A_BOT_HOST: '' };
+    
+    const enterprise = await run(['--host', 'GHE.example.com', 'get'], 'protocol=https\nhost=ghe.example.com\n\n', env);
+    assert.match(enterprise.stdout, /^password=ghu_cached$/m);
+    
+    const github = await run(['--host', 'ghe.example.com', 'get'], 'protocol=https\nhost=github.com\n\n', env);
+    assert.equal(github.stdout, '');
+    
+    const fromEnv = await run(['get'], 'protocol=https\nhost=ghe.example.com\n\n', { ...env, AS_A_BOT_HOST: 'ghe.example.com' });
+    assert.match(fromEnv.stdout, /^password=ghu_cached$/m);
+  });
+});
@@ -0,0 +1,134 @@
+// Minimal GitHub REST API helpers shared by the device and web flows
+//
+// OAuth endpoints live on the web host (GITHUB_URL, default https://github.com),
+// REST calls go to the API base (GITHUB_API). On GitHub.com the API has its own
+// host; on GitHub Enterprise Server it is <host>/api/v3 and app pages are under
+// /github-apps/, which is what an unset GITHUB_API defaults to for other hosts.
+
+import { observeHistogram, incrementCounter } from './metrics.js';
+import { log } from './log.js';
+
+const DOTCOM_URL = 'https://github.com';
+const DOTCOM_API = 'https://api.github.com';
+
+// Base URLs for a deployment (or app): { web, api, apps }
+export function githubHosts(env) {
+  const web = (env.GITHUB_URL || DOTCOM_URL).replace(/\/+$/, '');
+  const isDotCom = web === DOTCOM_URL;
+  const api = (env.GITHUB_API || (isDotCom ? DOTCOM_API : `${web}/api/v3`)).replace(/\/+$/, '');
+  
+  return {
+    web,
+    api,
+    apps: `${web}/${isDotCom ? 'apps' : 'github-apps'}`
+  };
+}
+
+// Make a request against the GitHub REST API and return the raw Response
+export async function githubRequest(env, path, { method = 'GET', token, auth, body } = {}) {
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'User-Agent': 'as-a-bot-token-broker',
+    'X-GitHub-Api-Version': '2022-11-28'
+  };
+
+  // Either a user/installation token or a prebuilt Authorization value
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  } else if (auth) {
+    headers['Authorization'] = auth;
+  }
+
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  return await githubFetch(env, `${githubHosts(env).api}${path}`, {
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+}
+
+// fetch() for GitHub that feeds the upstream latency and error metrics
+// Errors are 5xx and 429 responses and network failures; the endpoint label is
+// the OAuth path or the first segment of the REST path (/user, /repos, ...)
+export async function githubFetch(env, url, init) {
+  const path = new URL(url).pathname.replace(/^\/api\/v3(?=\/)/, '');
+  const endpoint = path.startsWith('/login/') ? path : `/${path.split('/')[1]}`;
+  const started = Date.now();
+  
+  try {
+    const response = await fetch(url, init);
+    observeHistogram(env, 'broker_github_request_duration_seconds', { endpoint }, (Date.now() - started) / 1000);
+    
+    if (response.status >= 500 || response.status === 429) {
+      incrementCounter(env, 'broker_github_errors_total', { endpoint, status: String(response.status) });
+    }
+    
+    return response;
+  } catch (error) {
+    incrementCounter(env, 'broker_github_errors_total', { endpoint, status: 'network' });
+    throw error;
+  }
+}
+
+// Look up the owner of a user token as { login, id }, or null if the token
+// does not work
+export async function fetchTokenUser(env, token) {
+  const response = await githubRequest(env, '/user', { token });
+  
+  if (!response.ok) {
+    return null;
+  }
+  
+  const { login, id } = await response.json();
+  return { login, id };
+}
+
+// Swap a refresh token for a new token pair
+// Returns GitHub's response body, which carries error/error_description on failure
+export async function refreshUserToken(env, refreshToken) {
+  // OAuth endpoints are on the web host, not the API host
+  const url = `${githubHosts(env).web}/login/oauth/access_token`;
+  
+  const params = new URLSearchParams({
+    client_id: env.GITHUB_CLIENT_ID,
+    client_secret: env.GITHUB_CLIENT_SECRET,
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken
+  });
+  
+  const response = await githubFetch(env, url, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: params.toString()
+  });
+  
+  return await response.json();
+}
+
+// Revoke a single user token with DELETE /applications/{client_id}/token
+// Best effort: failures are logged, not thrown, and without the client secret
+// there is no way to revoke it
+export async function revokeUserToken(env, accessToken) {
+  if (!env.GITHUB_CLIENT_SECRET) {
+    log(env, 'warn', 'GITHUB_CLIENT_SECRET not configured - token was not revoked');
+    return;
+  }
+  
+  await githubRequest(env, `/applications/${env.GITHUB_CLIENT_ID}/token`, {
+    method: 'DELETE',
+    auth: appBasicAuth(env),
+    body: { access_token: accessToken }
+  }).catch(error => log(env, 'warn', 'Failed to revoke token', { error: error.message }));
+}
+
+// Basic auth for the /applications/{client_id}/... endpoints, which
+// authenticate with the app's client ID and client secret
+export function appBasicAuth(env) {
+  return `Basic ${btoa(`${env.GITHUB_CLIENT_ID}:${env.GITHUB_CLIENT_SECRET}`)}`;
+}
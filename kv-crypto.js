@@ -0,0 +1,110 @@
+// Encryption at rest for token-bearing KV records
+//
+// Records are sealed with AES-256-GCM using keys from the KV_ENCRYPTION_KEYS
+// secret, a comma-separated list of "<key id>:<base64 32-byte key>" entries.
+// The first entry encrypts new records; all entries can decrypt, so a key can
+// be rotated by prepending a new one and dropping the old one once records
+// written with it have expired (at most the longest KV TTL).
+//
+//   wrangler secret put KV_ENCRYPTION_KEYS   # e.g. "k2:$(openssl rand -base64 32),k1:..."
+//
+// The KV key is bound to the ciphertext as additional authenticated data, so a
+// sealed record cannot be copied under another key.
+
+import { log } from './log.js';
+
+const importedKeys = new Map();
+let warnedUnencrypted = false;
+
+// Serialize a record for KV, encrypting it when keys are configured
+export async function sealRecord(env, kvKey, value) {
+  const keys = parseKeys(env.KV_ENCRYPTION_KEYS);
+
+  if (keys.length === 0) {
+    if (!warnedUnencrypted) {
+      log(env, 'warn', 'KV_ENCRYPTION_KEYS not configured - KV records will be stored unencrypted');
+      warnedUnencrypted = true;
+    }
+    return JSON.stringify(value);
+  }
+
+  const [{ id, secret }] = keys;
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(kvKey) },
+    await importKey(secret),
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return JSON.stringify({
+    enc: 'A256GCM',
+    kid: id,
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(ciphertext))
+  });
+}
+
+// Turn a record read with get(key, 'json') back into its value
+// Plaintext records written before encryption was enabled pass through.
+// Records that cannot be decrypted are treated as missing.
+export async function openRecord(env, kvKey, stored) {
+  if (!stored || stored.enc !== 'A256GCM') {
+    return stored;
+  }
+
+  const key = parseKeys(env.KV_ENCRYPTION_KEYS).find(candidate => candidate.id === stored.kid);
+
+  if (!key) {
+    log(env, 'warn', 'KV record encrypted with unknown key id', { kid: stored.kid });
+    return null;
+  }
+
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(stored.iv), additionalData: new TextEncoder().encode(kvKey) },
+      await importKey(key.secret),
+      fromBase64(stored.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    log(env, 'warn', 'Failed to decrypt KV record', { kid: stored.kid });
+    return null;
+  }
+}
+
+function parseKeys(config) {
+  if (!config) {
+    return [];
+  }
+
+  return config.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator < 1) {
+        throw new Error('KV_ENCRYPTION_KEYS entries must look like "<key id>:<base64 key>"');
+      }
+      return { id: entry.slice(0, separator), secret: entry.slice(separator + 1) };
+    });
+}
+
+async function importKey(secret) {
+  if (!importedKeys.has(secret)) {
+    const raw = fromBase64(secret);
+    if (raw.length !== 32) {
+      throw new Error('KV encryption keys must be 32 bytes');
+    }
+    importedKeys.set(secret, await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']));
+  }
+
+  return importedKeys.get(secret);
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+}
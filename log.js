@@ -0,0 +1,42 @@
+// Structured logging
+//
+// Every log line is a single JSON object with the time, level, message, request
+// ID and app, plus fields of the caller, so Workers Logs and Logpush can filter
+// on them. Lines never contain tokens, codes or query strings.
+//
+// The request ID comes from the caller's X-Request-ID header when it looks sane,
+// otherwise it is generated. It is echoed in the X-Request-ID response header and
+// travels with env as REQUEST_ID.
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Write a log line; level is 'info', 'warn' or 'error'
+export function log(env, level, message, fields = {}) {
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    request_id: env?.REQUEST_ID,
+    app: env?.BROKER_APP?.slug,
+    ...fields
+  });
+  
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+// Log fields for a caught error
+export function errorFields(error) {
+  return { error: error?.message, stack: error?.stack };
+}
+
+// The request ID for an incoming request
+export function requestIdFor(request) {
+  const incoming = request.headers.get('X-Request-ID');
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
@@ -0,0 +1,213 @@
+// Metrics
+//
+// Counters and latency histograms for requests, flows and GitHub upstream
+// calls. They are kept in memory and served at GET /metrics in the Prometheus
+// text format, for scrapers that send "Authorization: Bearer <key>" where
+// METRICS_API_KEY_SHA256 holds the SHA-256 of the key. Without it /metrics
+// answers 404.
+//
+// Workers spread requests over many short-lived isolates, and a scrape only
+// sees the counts of the isolate that served it. For complete numbers, bind a
+// Workers Analytics Engine dataset as METRICS: every increment and observation
+// is then also written there as a data point (blobs: metric name, then label
+// values; doubles: value; index: metric name).
+
+import { sha256Hex, timingSafeEqual } from './crypto-utils.js';
+import { log } from './log.js';
+
+// Request and GitHub call latencies, in seconds
+const LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Time users take from starting a flow to authorizing it, in seconds
+const FLOW_BUCKETS = [5, 10, 30, 60, 120, 300, 600, 900];
+
+const DEFINITIONS = {
+  broker_requests_total: {
+    type: 'counter',
+    help: 'Requests handled, by route, method and status'
+  },
+  broker_request_duration_seconds: {
+    type: 'histogram',
+    help: 'Time to answer a request, by route',
+    buckets: LATENCY_BUCKETS
+  },
+  broker_flows_total: {
+    type: 'counter',
+    help: 'Flow events (started, completed, denied, failed, expired, slow_down), by flow'
+  },
+  broker_flow_duration_seconds: {
+    type: 'histogram',
+    help: 'Time from flow start to the user authorizing it, by flow',
+    buckets: FLOW_BUCKETS
+  },
+  broker_rate_limited_total: {
+    type: 'counter',
+    help: 'Requests rejected by a rate limit, by bucket'
+  },
+  broker_github_request_duration_seconds: {
+    type: 'histogram',
+    help: 'Time GitHub took to answer, by endpoint',
+    buckets: LATENCY_BUCKETS
+  },
+  broker_github_errors_total: {
+    type: 'counter',
+    help: 'GitHub upstream errors (5xx, 429 and network failures), by endpoint and status'
+  }
+};
+
+// Known routes; anything else is counted as "other" to keep label values bounded
+const ROUTES = new Set([
+  '/', '/health', '/metrics', '/token',
+  '/user-token/start', '/user-token/poll', '/user-token/refresh', '/user-token/revoke', '/user-token/introspect',
+  '/session/token', '/session/logout',
+  '/auth/start', '/auth/callback', '/auth/poll',
+  '/oauth/device_authorization', '/oauth/token', '/.well-known/oauth-authorization-server',
+  '/webhooks/github',
+  '/admin/audit', '/admin/pending'
+]);
+
+// Series by metric name and label values
+const series = new Map();
+
+// Add to a counter
+export function incrementCounter(env, name, labels = {}, value = 1) {
+  const entry = seriesFor(name, labels);
+  entry.value += value;
+  writeDataPoint(env, name, labels, value);
+}
+
+// Record a value in a histogram
+export function observeHistogram(env, name, labels, value) {
+  const entry = seriesFor(name, labels);
+  const { buckets } = DEFINITIONS[name];
+  
+  entry.counts = entry.counts || buckets.map(() => 0);
+  buckets.forEach((bound, index) => {
+    if (value <= bound) {
+      entry.counts[index]++;
+    }
+  });
+  entry.sum += value;
+  entry.value++;
+  writeDataPoint(env, name, labels, value);
+}
+
+// Count a flow event, e.g. countFlowEvent(env, 'device', 'completed')
+export function countFlowEvent(env, flow, outcome) {
+  incrementCounter(env, 'broker_flows_total', { flow: flow || 'unknown', outcome });
+}
+
+// Record how long the user took to authorize a flow started at startedAt (ms)
+export function observeFlowDuration(env, flow, startedAt) {
+  if (startedAt) {
+    observeHistogram(env, 'broker_flow_duration_seconds', { flow }, (Date.now() - startedAt) / 1000);
+  }
+}
+
+// Route label for a request path, with the /apps/<slug> prefix removed
+export function routeLabel(pathname) {
+  const path = pathname.replace(/^\/apps\/[a-z0-9][a-z0-9-]*(?=\/)/, '');
+  const adminUser = path.match(/^\/admin\/users\/[^/]+\/(tokens|revoke)$/);
+  
+  if (adminUser) {
+    return `/admin/users/{login}/${adminUser[1]}`;
+  }
+  
+  return ROUTES.has(path) ? path : 'other';
+}
+
+// Handle GET /metrics
+export async function handleMetrics(request, env) {
+  if (!env.METRICS_API_KEY_SHA256) {
+    return new Response('Not found', { status: 404 });
+  }
+  
+  const authHeader = request.headers.get('Authorization') || '';
+  const key = authHeader.match(/^Bearer\s+(.+)$/i)?.[1];
+  
+  if (!key || !timingSafeEqual(await sha256Hex(key), String(env.METRICS_API_KEY_SHA256).toLowerCase())) {
+    return new Response(JSON.stringify({
+      error: 'unauthorized',
+      error_description: 'A valid metrics key is required in the Authorization header'
+    }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  return new Response(renderPrometheus(), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/plain; version=0.0.4',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+// All series in the Prometheus text exposition format
+export function renderPrometheus() {
+  const lines = [];
+  
+  for (const [name, { type, help, buckets }] of Object.entries(DEFINITIONS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    
+    for (const entry of series.values()) {
+      if (entry.name !== name) {
+        continue;
+      }
+      
+      if (type === 'counter') {
+        lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        continue;
+      }
+      
+      buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: String(bound) })} ${entry.counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.value}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.value}`);
+    }
+  }
+  
+  return `${lines.join('\n')}\n`;
+}
+
+function seriesFor(name, labels) {
+  if (!DEFINITIONS[name]) {
+    throw new Error(`Unknown metric ${name}`);
+  }
+  
+  const id = `${name}${formatLabels(labels)}`;
+  let entry = series.get(id);
+  
+  if (!entry) {
+    entry = { name, labels, value: 0, sum: 0 };
+    series.set(id, entry);
+  }
+  
+  return entry;
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, char => (char === '\n' ? '\\n' : `\\${char}`))}"`);
+  
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Mirror to Analytics Engine when bound; metrics must never break a request
+function writeDataPoint(env, name, labels, value) {
+  if (!env?.METRICS) {
+    return;
+  }
+  
+  try {
+    env.METRICS.writeDataPoint({
+      blobs: [name, ...Object.values(labels).map(String)],
+      doubles: [value],
+      indexes: [name]
+    });
+  } catch (error) {
+    log(env, 'warn', 'Failed to write metrics data point', { error: error.message });
+  }
+}
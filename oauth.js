@@ -0,0 +1,142 @@
+// Standard OAuth 2.0 facade over the broker's device flow
+//
+// /oauth/device_authorization (RFC 8628) and /oauth/token (RFC 6749) run the
+// same handlers as /user-token/start, /user-token/poll and /user-token/refresh.
+// This module translates between the two shapes: form-encoded requests in,
+// spec-shaped responses out. Every error is a 400 with an RFC error code,
+// except invalid_client (401), rate limiting (429) and server errors.
+
+export const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+
+// Error codes from RFC 6749 section 5.2 and RFC 8628 section 3.5
+const OAUTH_ERRORS = new Set([
+  'invalid_request',
+  'invalid_client',
+  'invalid_grant',
+  'unauthorized_client',
+  'unsupported_grant_type',
+  'invalid_scope',
+  'authorization_pending',
+  'slow_down',
+  'access_denied',
+  'expired_token'
+]);
+
+// GitHub's own error codes and what they mean in OAuth terms
+const GITHUB_ERRORS = {
+  incorrect_device_code: 'invalid_grant',
+  bad_refresh_token: 'invalid_grant',
+  bad_verification_code: 'invalid_grant',
+  unsupported_grant_type: 'unsupported_grant_type'
+};
+
+const OAUTH_HEADERS = {
+  'Content-Type': 'application/json',
+  'Cache-Control': 'no-store',
+  'Pragma': 'no-cache'
+};
+
+// Read a form-encoded OAuth request body, or null if it is not one
+export async function readOAuthParams(request) {
+  const contentType = request.headers.get('Content-Type') || '';
+  
+  if (!contentType.toLowerCase().startsWith('application/x-www-form-urlencoded')) {
+    return null;
+  }
+  
+  return new URLSearchParams(await request.text());
+}
+
+// Build a spec-shaped error response
+export function oauthError(error, description, status = 400) {
+  return new Response(JSON.stringify({
+    error,
+    error_description: description
+  }), {
+    status,
+    headers: OAUTH_HEADERS
+  });
+}
+
+// Turn a broker response into its OAuth equivalent
+// endpoint: 'device_authorization' or 'token'
+export async function toOAuthResponse(response, endpoint) {
+  const data = await response.json().catch(() => ({}));
+  
+  if (response.status === 200) {
+    if (endpoint === 'device_authorization') {
+      return new Response(JSON.stringify({
+        device_code: data.device_code,
+        user_code: data.user_code,
+        verification_uri: data.verification_uri,
+        expires_in: data.expires_in,
+        interval: data.interval
+      }), {
+        status: 200,
+        headers: OAUTH_HEADERS
+      });
+    }
+    
+    // Vault sessions have no OAuth equivalent - only plain tokens come through here
+    return new Response(JSON.stringify({
+      access_token: data.access_token,
+      token_type: data.token_type || 'bearer',
+      expires_in: Math.max(0, Math.floor((Date.parse(data.expires_at) - Date.now()) / 1000)),
+      refresh_token: data.refresh_token,
+      refresh_token_expires_in: data.refresh_token_expires_in,
+      scope: data.scope
+    }), {
+      status: 200,
+      headers: OAUTH_HEADERS
+    });
+  }
+  
+  // A rate-limited poll is what RFC 8628 calls slow_down; the device
+  // authorization endpoint has no such code, so it keeps the 429
+  if (response.status === 429 && data.error === 'rate_limited') {
+    if (endpoint === 'token') {
+      return oauthError('slow_down', data.error_description);
+    }
+    
+    return new Response(JSON.stringify({
+      error: 'slow_down',
+      error_description: data.error_description
+    }), {
+      status: 429,
+      headers: {
+        ...OAUTH_HEADERS,
+        'Retry-After': response.headers.get('Retry-After')
+      }
+    });
+  }
+  
+  if (response.status >= 500) {
+    return oauthError('server_error', data.error_description || data.error, response.status);
+  }
+  
+  // The broker's own validation errors carry a sentence rather than a code
+  const error = OAUTH_ERRORS.has(data.error) ? data.error
+    : GITHUB_ERRORS[data.error] || 'invalid_request';
+  const description = data.error_description || (error === data.error ? undefined : data.error);
+  
+  if (error === 'invalid_client') {
+    return oauthError(error, description, 401);
+  }
+  
+  return oauthError(error, description);
+}
+
+// RFC 8414 authorization server metadata
+export function authorizationServerMetadata(origin, env) {
+  return {
+    issuer: origin,
+    device_authorization_endpoint: `${origin}/oauth/device_authorization`,
+    token_endpoint: `${origin}/oauth/token`,
+    grant_types_supported: [DEVICE_CODE_GRANT, 'refresh_token'],
+    // There is no authorization endpoint; browsers go through /auth/start
+    response_types_supported: [],
+    token_endpoint_auth_methods_supported: env.BROKER_CLIENTS
+      ? ['client_secret_basic', 'client_secret_post']
+      : ['none']
+  };
+}
@@ -0,0 +1,104 @@
+// Access policy for issued tokens
+//
+// Runs after the token exchange and before a token is released. Configured
+// with the ACCESS_POLICY variable (JSON); teams are "org/team-slug":
+//
+//   {
+//     "allow": { "logins": ["octocat"], "orgs": ["my-org"], "teams": ["my-org/ai-agents"] },
+//     "deny":  { "logins": ["mallory"], "orgs": [], "teams": ["my-org/contractors"] }
+//   }
+//
+// Deny entries win. If any allow list is non-empty, the user has to match at
+// least one allow entry. Org and team checks use the new user token, so the
+// GitHub App needs the "Members: read" organization permission.
+
+import { githubRequest } from './github-api.js';
+
+// Check the owner of a fresh user token against ACCESS_POLICY
+// Returns { allowed, user, reason } - always allowed when no policy is configured
+export async function checkAccessPolicy(env, accessToken) {
+  const policy = parsePolicy(env.ACCESS_POLICY);
+  
+  if (!policy) {
+    return { allowed: true, user: null };
+  }
+  
+  const userResponse = await githubRequest(env, '/user', { token: accessToken });
+  
+  if (!userResponse.ok) {
+    throw new Error(`GitHub returned ${userResponse.status} while looking up user`);
+  }
+  
+  const { login, id } = await userResponse.json();
+  const user = { login, id };
+  const allow = policy.allow || {};
+  const deny = policy.deny || {};
+  
+  if (includesLogin(deny.logins, login)) {
+    return { allowed: false, user, reason: `User ${login} is denied` };
+  }
+  
+  for (const org of deny.orgs || []) {
+    if (await isOrgMember(env, accessToken, org)) {
+      return { allowed: false, user, reason: `Members of ${org} are denied` };
+    }
+  }
+  
+  for (const team of deny.teams || []) {
+    if (await isTeamMember(env, accessToken, team, login)) {
+      return { allowed: false, user, reason: `Members of ${team} are denied` };
+    }
+  }
+  
+  const hasAllowList = ['logins', 'orgs', 'teams'].some(list => (allow[list] || []).length > 0);
+  
+  if (!hasAllowList || includesLogin(allow.logins, login)) {
+    return { allowed: true, user };
+  }
+  
+  for (const org of allow.orgs || []) {
+    if (await isOrgMember(env, accessToken, org)) {
+      return { allowed: true, user };
+    }
+  }
+  
+  for (const team of allow.teams || []) {
+    if (await isTeamMember(env, accessToken, team, login)) {
+      return { allowed: true, user };
+    }
+  }
+  
+  return { allowed: false, user, reason: `User ${login} is not on the allow list` };
+}
+
+function parsePolicy(config) {
+  if (!config) {
+    return null;
+  }
+  
+  // Wrangler passes [vars] tables through as objects
+  if (typeof config === 'object') {
+    return config;
+  }
+  
+  try {
+    return JSON.parse(config);
+  } catch (error) {
+    throw new Error('ACCESS_POLICY is not valid JSON');
+  }
+}
+
+function includesLogin(logins, login) {
+  return (logins || []).some(entry => entry.toLowerCase() === login.toLowerCase());
+}
+
+async function isOrgMember(env, accessToken, org) {
+  const response = await githubRequest(env, `/user/memberships/orgs/${org}`, { token: accessToken });
+  return response.ok && (await response.json()).state === 'active';
+}
+
+async function isTeamMember(env, accessToken, team, login) {
+  const [org, slug] = team.split('/');
+  const response = await githubRequest(env, `/orgs/${org}/teams/${slug}/memberships/${login}`, { token: accessToken });
+  return response.ok && (await response.json()).state === 'active';
+}
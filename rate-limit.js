@@ -0,0 +1,92 @@
+// Rate limiting for the flow endpoints
+//
+// Uses fixed-window counters in the RATE_LIMIT KV namespace. KV is eventually
+// consistent, so limits are approximate across colos - good enough to stop a
+// script from burning through the app's GitHub rate limit, not an exact quota.
+// Limits are "<requests>/<seconds>" strings, "off" disables one:
+//
+//   RATE_LIMIT_START        - /user-token/start and /auth/start per client IP (default 10/60)
+//   RATE_LIMIT_POLL         - /user-token/poll per client IP (default 120/60)
+//   RATE_LIMIT_POLL_DEVICE  - /user-token/poll per device code (default 30/60)
+
+import { incrementCounter } from './metrics.js';
+
+const DEFAULT_LIMITS = {
+  RATE_LIMIT_START: '10/60',
+  RATE_LIMIT_POLL: '120/60',
+  RATE_LIMIT_POLL_DEVICE: '30/60'
+};
+
+// Check the limits that apply to a request, returns a 429 Response or null
+export async function enforceRateLimits(request, env, pathname, body = {}) {
+  if (!env.RATE_LIMIT) {
+    return null;
+  }
+  
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const checks = [];
+  
+  switch (pathname) {
+    case '/user-token/start':
+    case '/auth/start':
+      checks.push(['start', ip, 'RATE_LIMIT_START']);
+      break;
+    
+    case '/user-token/poll':
+      checks.push(['poll', ip, 'RATE_LIMIT_POLL']);
+      if (body.device_code) {
+        checks.push(['poll-device', body.device_code, 'RATE_LIMIT_POLL_DEVICE']);
+      }
+      break;
+  }
+  
+  for (const [bucket, id, setting] of checks) {
+    const limit = parseLimit(env[setting] ?? DEFAULT_LIMITS[setting]);
+    const retryAfter = limit && await hit(env, `${bucket}:${id}`, limit);
+    
+    if (retryAfter) {
+      incrementCounter(env, 'broker_rate_limited_total', { bucket });
+      return new Response(JSON.stringify({
+        error: 'rate_limited',
+        error_description: `Too many requests, retry in ${retryAfter} seconds`,
+        retry_after: retryAfter
+      }), {
+        status: 429,
+        headers: {
+          'Content-Type': 'application/json',
+          'Retry-After': String(retryAfter)
+        }
+      });
+    }
+  }
+  
+  return null;
+}
+
+// Count a request, returns seconds until the window resets if over the limit
+async function hit(env, key, { requests, seconds }) {
+  const now = Date.now();
+  const window = Math.floor(now / (seconds * 1000));
+  const kvKey = `rl:${key}:${window}`;
+  const count = parseInt(await env.RATE_LIMIT.get(kvKey), 10) || 0;
+  
+  if (count >= requests) {
+    return Math.max(1, Math.ceil(((window + 1) * seconds * 1000 - now) / 1000));
+  }
+  
+  await env.RATE_LIMIT.put(kvKey, String(count + 1), {
+    expirationTtl: Math.max(seconds, 60) // KV minimum
+  });
+  
+  return 0;
+}
+
+function parseLimit(spec) {
+  const match = /^(\d+)\/(\d+)$/.exec(String(spec).trim());
+  
+  if (!match) {
+    return null;
+  }
+  
+  return { requests: parseInt(match[1], 10), seconds: parseInt(match[2], 10) };
+}
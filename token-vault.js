@@ -0,0 +1,175 @@
+// Server-side token vault
+// Keeps user token pairs in the TOKEN_VAULT KV namespace so clients only ever
+// hold an opaque session handle. Records are keyed by the SHA-256 hash of the
+// handle, so reading the KV namespace does not yield usable handles, and the
+// records themselves are encrypted (see kv-crypto.js).
+//
+// Each session also gets an empty "user:<github user id>:<hash>" index entry, so
+// all sessions of a user can be purged when they revoke the app. The entry's
+// metadata (login, client, times) lets admins list sessions without decrypting.
+
+import { sealRecord, openRecord } from './kv-crypto.js';
+import { randomToken, sha256Hex } from './crypto-utils.js';
+
+// Default session lifetime: 30 days
+const DEFAULT_SESSION_TTL = 30 * 24 * 60 * 60;
+
+// Create a session for a token payload as returned by /user-token/poll
+// user is the token owner ({ login, id }), if known, client the broker client name
+// Returns the opaque handle and when the session expires
+export async function createSession(env, payload, user = null, client = null) {
+  const handle = `bsh_${randomToken()}`;
+  const now = Date.now();
+
+  const record = {
+    access_token: payload.access_token,
+    token_type: payload.token_type,
+    expires_at: payload.expires_at,
+    scope: payload.scope,
+    granted_scope: payload.granted_scope,
+    refresh_token: payload.refresh_token,
+    refresh_token_expires_at: payload.refresh_token_expires_in
+      ? new Date(now + payload.refresh_token_expires_in * 1000).toISOString()
+      : undefined,
+    user: user ? { login: user.login, id: user.id } : undefined,
+    client: client || undefined,
+    created_at: now
+  };
+  record.session_expires_at = sessionExpiresAt(env, record);
+
+  await writeSession(env, await sha256Hex(handle), record);
+  
+  return { handle, expires_at: record.session_expires_at };
+}
+
+// Load the record behind a session handle, or null if unknown/expired
+export async function getSession(env, handle) {
+  const key = await sessionKey(handle);
+  return await openRecord(env, key, await env.TOKEN_VAULT.get(key, 'json'));
+}
+
+// Store the token pair of a refresh (a /user-token/refresh payload) in a session
+// The new refresh token has a new deadline, which moves the session expiry
+// along, up to SESSION_TTL after the session was created. Returns the new record.
+export async function refreshSession(env, handle, record, payload) {
+  const refreshed = {
+    ...record,
+    access_token: payload.access_token,
+    expires_at: payload.expires_at,
+    refresh_token: payload.refresh_token,
+    refresh_token_expires_at: payload.refresh_token_expires_in
+      ? new Date(Date.now() + payload.refresh_token_expires_in * 1000).toISOString()
+      : record.refresh_token_expires_at
+  };
+  refreshed.session_expires_at = sessionExpiresAt(env, refreshed);
+
+  await writeSession(env, await sha256Hex(handle), refreshed);
+  
+  return refreshed;
+}
+
+// Forget a session
+export async function deleteSession(env, handle) {
+  const hash = await sha256Hex(handle);
+  const record = await openRecord(env, `session:${hash}`, await env.TOKEN_VAULT.get(`session:${hash}`, 'json'));
+  
+  await env.TOKEN_VAULT.delete(`session:${hash}`);
+  
+  if (record?.user?.id) {
+    await env.TOKEN_VAULT.delete(`user:${record.user.id}:${hash}`);
+  }
+}
+
+// Forget every session of a GitHub user, returns how many were removed
+export async function deleteUserSessions(env, userId) {
+  const prefix = `user:${userId}:`;
+  let removed = 0;
+  let cursor;
+  
+  do {
+    const page = await env.TOKEN_VAULT.list({ prefix, cursor });
+    
+    for (const { name } of page.keys) {
+      await env.TOKEN_VAULT.delete(`session:${name.slice(prefix.length)}`);
+      await env.TOKEN_VAULT.delete(name);
+      removed++;
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return removed;
+}
+
+// List sessions from the user index, optionally only those of one login
+// Returns { id, user_id, login, client, created_at, expires_at } entries, where
+// id identifies the session without being usable as a handle
+export async function listSessions(env, { login } = {}) {
+  const sessions = [];
+  let cursor;
+  
+  do {
+    const page = await env.TOKEN_VAULT.list({ prefix: 'user:', cursor });
+    
+    for (const { name, metadata } of page.keys) {
+      const [, userId, id] = name.split(':');
+      
+      if (login && metadata?.login?.toLowerCase() !== login.toLowerCase()) {
+        continue;
+      }
+      
+      sessions.push({
+        id,
+        user_id: Number(userId),
+        login: metadata?.login,
+        client: metadata?.client,
+        created_at: metadata?.created_at,
+        expires_at: metadata?.expires_at
+      });
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return sessions;
+}
+
+// Load a session record by the id from listSessions, or null
+export async function getSessionById(env, id) {
+  const key = `session:${id}`;
+  return await openRecord(env, key, await env.TOKEN_VAULT.get(key, 'json'));
+}
+
+// A session cannot outlive the credentials it holds
+function sessionExpiresAt(env, record) {
+  const ttl = parseInt(env.SESSION_TTL, 10) || DEFAULT_SESSION_TTL;
+  const credentialsExpireAt = Date.parse(record.refresh_token_expires_at || record.expires_at);
+  
+  return new Date(Math.min(record.created_at + ttl * 1000, credentialsExpireAt)).toISOString();
+}
+
+// Write a session record and its user index entry, both expiring with the session
+async function writeSession(env, hash, record) {
+  const key = `session:${hash}`;
+  const ttl = Math.max(Math.floor((Date.parse(record.session_expires_at) - Date.now()) / 1000), 60); // KV minimum
+  
+  await env.TOKEN_VAULT.put(key, await sealRecord(env, key, record), {
+    expirationTtl: ttl
+  });
+  
+  if (record.user?.id) {
+    await env.TOKEN_VAULT.put(`user:${record.user.id}:${hash}`, '', {
+      expirationTtl: ttl,
+      metadata: {
+        login: record.user.login,
+        client: record.client,
+        created_at: new Date(record.created_at).toISOString(),
+        expires_at: record.session_expires_at
+      }
+    });
+  }
+}
+
+async function sessionKey(handle) {
+  return `session:${await sha256Hex(handle)}`;
+}
@@ -0,0 +1,160 @@
+// GitHub webhook receiver
+// Keeps the broker in sync when users revoke the app or installations go away:
+//
+// - github_app_authorization (revoked): drop the user's vault sessions
+// - installation (deleted/suspend): drop web flow sessions linked to the installation
+// - installation_repositories: recorded only, nothing is stored per repository
+//
+// Deliveries are verified against GITHUB_WEBHOOK_SECRET (X-Hub-Signature-256)
+// and, when the WEBHOOK_EVENTS KV namespace is bound, recorded there for 30 days.
+
+import { deleteUserSessions } from './token-vault.js';
+import { timingSafeEqual } from './crypto-utils.js';
+import { recordAuditEvent } from './audit-log.js';
+import { isOtherAppKey } from './apps.js';
+
+// How long recorded webhook events are kept
+const EVENT_TTL = 30 * 24 * 60 * 60;
+
+// Handle /webhooks/github endpoint
+export async function handleGitHubWebhook(request, env) {
+  if (!env.GITHUB_WEBHOOK_SECRET) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Webhook secret not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // The signature covers the exact bytes GitHub sent, so verify before parsing
+  const rawBody = await request.text();
+  const signature = request.headers.get('X-Hub-Signature-256') || '';
+  
+  if (!timingSafeEqual(signature, `sha256=${await hmacSha256Hex(env.GITHUB_WEBHOOK_SECRET, rawBody)}`)) {
+    return new Response(JSON.stringify({
+      error: 'invalid_signature',
+      error_description: 'X-Hub-Signature-256 does not match the payload'
+    }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Invalid request body'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const event = request.headers.get('X-GitHub-Event');
+  const delivery = request.headers.get('X-GitHub-Delivery');
+  const purged = { sessions: 0, states: 0 };
+  
+  switch (event) {
+    case 'github_app_authorization':
+      if (payload.action === 'revoked' && env.TOKEN_VAULT && payload.sender?.id) {
+        purged.sessions = await deleteUserSessions(env, payload.sender.id);
+      }
+      if (payload.action === 'revoked') {
+        await recordAuditEvent(env, request, {
+          event: 'token.revoked',
+          login: payload.sender?.login,
+          user_id: payload.sender?.id,
+          reason: 'Authorization revoked on GitHub'
+        });
+      }
+      break;
+    
+    case 'installation':
+      if (['deleted', 'suspend'].includes(payload.action) && env.AUTH_STATES && payload.installation?.id) {
+        purged.states = await deleteInstallationStates(env, payload.installation.id);
+      }
+      break;
+    
+    case 'installation_repositories':
+      break;
+    
+    default:
+      // ping and anything else we did not subscribe to on purpose
+      return new Response(JSON.stringify({
+        received: true,
+        ignored: true,
+        event
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+  }
+  
+  const record = {
+    delivery,
+    event,
+    action: payload.action,
+    installation_id: payload.installation?.id,
+    account: payload.installation?.account?.login,
+    sender: payload.sender ? { login: payload.sender.login, id: payload.sender.id } : undefined,
+    repositories_added: payload.repositories_added?.map(repo => repo.full_name),
+    repositories_removed: payload.repositories_removed?.map(repo => repo.full_name),
+    purged,
+    received_at: new Date().toISOString()
+  };
+  
+  if (env.WEBHOOK_EVENTS) {
+    await env.WEBHOOK_EVENTS.put(`event:${record.received_at}:${delivery || crypto.randomUUID()}`, JSON.stringify(record), {
+      expirationTtl: EVENT_TTL
+    });
+  }
+  
+  return new Response(JSON.stringify({
+    received: true,
+    event,
+    action: payload.action,
+    purged
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+async function hmacSha256Hex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Drop web flow records linked to an installation (tagged in their KV metadata)
+async function deleteInstallationStates(env, installationId) {
+  let removed = 0;
+  let cursor;
+  
+  do {
+    const page = await env.AUTH_STATES.list({ cursor });
+    
+    for (const { name, metadata } of page.keys) {
+      if (!isOtherAppKey(env, name) && String(metadata?.installation_id) === String(installationId)) {
+        await env.AUTH_STATES.delete(name);
+        removed++;
+      }
+    }
+    
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return removed;
+}
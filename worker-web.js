@@ -3,14 +3,43 @@
  * 
  * Provides user-to-server GitHub tokens via web-based OAuth flow for proper user attribution.
  * This should create tokens with app badge attribution.
+ * 
+ * The `state` travels through the browser (history, GitHub redirect URL), so it is
+ * not enough to collect the token: /auth/start also returns a `poll_secret` that
+ * only the CLI knows and /auth/poll requires. The authorization code itself is
+ * bound to the broker with PKCE (S256).
+ *
+ * Web apps can pass a `redirect_uri` (from the ALLOWED_REDIRECT_URIS allowlist)
+ * to /auth/start. The browser then returns to the app with a one-time `code`
+ * instead of seeing the success page, and /auth/poll wants that code as well.
+ *
+ * With `install: true`, /auth/start sends the user to the app's installation page
+ * instead (GITHUB_APP_SLUG). GitHub hands the `state` back on the setup callback,
+ * which links the installation to the session; the token is then collected
+ * through /auth/poll like any other web flow.
+ *
+ * A flow that fails in the callback (the user cancels, GitHub redirects with an
+ * error, the code exchange fails, the access policy denies the user) ends
+ * there: /auth/poll reports the error right away instead of waiting for expiry.
  */
 
 import { signJWT } from './jwt-simple.js';
+import { sealRecord, openRecord } from './kv-crypto.js';
+import { randomToken, sha256Hex, base64url, timingSafeEqual } from './crypto-utils.js';
+import { enforceRateLimits } from './rate-limit.js';
+import { authenticateClient } from './clients.js';
+import { checkAccessPolicy } from './policy.js';
+import { recordAuditEvent } from './audit-log.js';
+import { fetchTokenUser, githubHosts, githubFetch, revokeUserToken } from './github-api.js';
+import { appBasePath } from './apps.js';
+import { log, errorFields } from './log.js';
+import { observeFlowDuration } from './metrics.js';
 
 // Handle /auth/start endpoint - initiate web flow
-async function handleAuthStart(request, env) {
+async function handleAuthStart(request, env, body, client) {
   const state = crypto.randomUUID();
   const clientId = env.GITHUB_CLIENT_ID;
+  const { redirect_uri, install } = body;
   
   if (!clientId) {
     return new Response(JSON.stringify({
@@ -21,29 +50,62 @@ async function handleAuthStart(request, env) {
     });
   }
   
+  if (install && !env.GITHUB_APP_SLUG) {
+    return new Response(JSON.stringify({
+      error: 'GitHub App slug not configured'
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  if (redirect_uri !== undefined && !isRedirectUriAllowed(env.ALLOWED_REDIRECT_URIS, redirect_uri)) {
+    return new Response(JSON.stringify({
+      error: 'invalid_request',
+      error_description: 'redirect_uri is not on the ALLOWED_REDIRECT_URIS allowlist'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // PKCE: the verifier never leaves the broker, GitHub only sees its hash
+  const codeVerifier = base64url(crypto.getRandomValues(new Uint8Array(32)));
+  
+  // Only the CLI gets the poll secret; we keep its hash
+  const pollSecret = randomToken();
+  
   // Store state in KV for later verification
   if (env.AUTH_STATES) {
-    await env.AUTH_STATES.put(state, JSON.stringify({
+    await env.AUTH_STATES.put(state, await sealRecord(env, state, {
       created_at: Date.now(),
-      status: 'pending'
+      status: 'pending',
+      client: client?.name,
+      code_verifier: codeVerifier,
+      poll_secret_hash: await sha256Hex(pollSecret),
+      redirect_uri,
+      install: install ? true : undefined
     }), {
       expirationTtl: 600 // 10 minutes
     });
   }
   
-  // Build GitHub OAuth URL
-  const params = new URLSearchParams({
-    client_id: clientId,
-    redirect_uri: `${new URL(request.url).origin}/auth/callback`,
-    state: state
-    // Don't include scope for GitHub Apps - they use fine-grained permissions
-  });
+  // Install first: GitHub passes the state on to the setup callback
+  const authUrl = install
+    ? `${githubHosts(env).apps}/${env.GITHUB_APP_SLUG}/installations/new?${new URLSearchParams({ state })}`
+    : await authorizeUrl(request, env, state, codeVerifier);
   
-  const authUrl = `https://github.com/login/oauth/authorize?${params}`;
+  await recordAuditEvent(env, request, {
+    event: 'flow.started',
+    flow: 'web',
+    client: client?.name,
+    install: install ? true : undefined
+  });
   
   return new Response(JSON.stringify({
     auth_url: authUrl,
     state: state,
+    poll_secret: pollSecret,
     expires_in: 600
   }), {
     status: 200,
@@ -55,131 +117,262 @@ async function handleAuthStart(request, env) {
 async function handleAuthCallback(request, env) {
   const url = new URL(request.url);
   const code = url.searchParams.get('code');
-  let state = url.searchParams.get('state');
+  const state = url.searchParams.get('state');
   const installationId = url.searchParams.get('installation_id');
   const setupAction = url.searchParams.get('setup_action');
   
-  // Handle installation flow (no state, but has installation_id)
-  if (code && installationId && setupAction === 'install') {
-    // This is an installation flow callback
-    // For installation flow, we don't have a pre-existing state
-    state = `install-${installationId}`;
+  // Installed from github.com rather than through /auth/start - there is no
+  // session waiting for a token, so none is requested
+  if (!state && installationId) {
+    return renderPage(200, {
+      tone: 'success',
+      title: 'App Installed',
+      message: 'Start the authorization from your terminal to get a token.'
+    });
   }
   
-  if (!code) {
-    return new Response('Missing code', { status: 400 });
+  const githubError = url.searchParams.get('error');
+  const githubErrorDescription = url.searchParams.get('error_description') || undefined;
+  
+  if (!state) {
+    return githubError
+      ? errorPage(githubError, githubErrorDescription)
+      : errorPage('invalid_request', 'The callback is missing its state. Start again from your terminal.');
   }
   
-  // For regular OAuth flow, verify state exists
-  if (!installationId && env.AUTH_STATES) {
-    const stateData = await env.AUTH_STATES.get(state, 'json');
-    if (!stateData) {
-      return new Response('Invalid or expired state', { status: 400 });
-    }
+  const stateData = env.AUTH_STATES
+    ? await openRecord(env, state, await env.AUTH_STATES.get(state, 'json'))
+    : null;
+  
+  if (!stateData) {
+    return errorPage('expired_token', 'This authorization has expired or does not exist. Start again from your terminal.');
+  }
+  
+  // A state is completed once: a second callback (with a code or an error)
+  // must not replace what the first one stored before the CLI collects it
+  if (stateData.status !== 'pending' || !stateData.code_verifier) {
+    return errorPage('invalid_request', 'This authorization has already been completed. Start again from your terminal.');
+  }
+  
+  // The user cancelled, or GitHub refused to authorize (redirect_uri_mismatch,
+  // application_suspended, ...)
+  if (githubError) {
+    await recordAuditEvent(env, request, {
+      event: githubError === 'access_denied' ? 'flow.denied' : 'flow.failed',
+      flow: 'web',
+      client: stateData.client,
+      reason: githubErrorDescription || githubError
+    });
+    
+    return await failFlow(env, state, stateData, {
+      error: githubError,
+      error_description: githubErrorDescription
+    });
+  }
+  
+  // Setup callbacks come from the installation page, which only flows started
+  // with install: true visit - and until they have, nothing else continues them
+  if (Boolean(setupAction) !== Boolean(stateData.install)) {
+    return errorPage('invalid_request', 'This callback does not belong to this authorization. Start again from your terminal.');
+  }
+  
+  // A member asked to install on an organization: nothing is installed until an
+  // owner approves, which can take days, so this session ends here
+  if (setupAction === 'request') {
+    return await failFlow(env, state, stateData, {
+      error: 'installation_requested',
+      error_description: 'An organization owner has to approve the installation before it can be authorized'
+    }, renderPage(200, {
+      tone: 'pending',
+      title: 'Installation Requested',
+      message: 'An organization owner has to approve the installation. Start again from your terminal once it is approved.'
+    }));
+  }
+  
+  // Installed or updated without "Request user authorization (OAuth) during
+  // installation": authorize now, under the same state. The installation is
+  // done, what follows is an ordinary authorization bound with PKCE
+  if (!code && setupAction) {
+    await env.AUTH_STATES.put(state, await sealRecord(env, state, {
+      ...stateData,
+      install: undefined,
+      installation_id: installationId || undefined
+    }), {
+      expirationTtl: 600,
+      metadata: installationId ? { installation_id: installationId } : undefined
+    });
+    
+    return new Response(null, {
+      status: 302,
+      headers: {
+        'Location': await authorizeUrl(request, env, state, stateData.code_verifier),
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+  
+  if (!code) {
+    return errorPage('invalid_request', 'GitHub did not send an authorization code. Start again from your terminal.');
   }
   
   // Exchange code for token
-  const tokenUrl = 'https://github.com/login/oauth/access_token';
+  const tokenUrl = `${githubHosts(env).web}/login/oauth/access_token`;
   const clientId = env.GITHUB_CLIENT_ID;
   const clientSecret = env.GITHUB_CLIENT_SECRET;
   
   if (!clientSecret) {
-    return new Response('Client secret not configured', { status: 500 });
+    return await failFlow(env, state, stateData, {
+      error: 'server_error',
+      error_description: 'Client secret not configured'
+    });
+  }
+  
+  const tokenParams = new URLSearchParams({
+    client_id: clientId,
+    client_secret: clientSecret,
+    code: code,
+    state: state
+  });
+  
+  // Codes issued on the installation page were requested without our PKCE
+  // challenge; whether this is one is up to the stored record, not the query
+  if (!stateData.install) {
+    tokenParams.set('code_verifier', stateData.code_verifier);
   }
   
-  const tokenResponse = await fetch(tokenUrl, {
+  const tokenResponse = await githubFetch(env, tokenUrl, {
     method: 'POST',
     headers: {
       'Accept': 'application/json',
       'Content-Type': 'application/x-www-form-urlencoded'
     },
-    body: new URLSearchParams({
-      client_id: clientId,
-      client_secret: clientSecret,
-      code: code,
-      state: state
-    }).toString()
+    body: tokenParams.toString()
   });
   
-  const tokenData = await tokenResponse.json();
+  // GitHub reports bad codes as 200 JSON; an outage answers 5xx or an HTML page
+  const tokenData = (tokenResponse.ok && await tokenResponse.json().catch(() => null)) || {
+    error: 'temporarily_unavailable',
+    error_description: `GitHub returned an unusable response (${tokenResponse.status}) to the code exchange`
+  };
   
+  // The code was already used, has expired, failed PKCE, or GitHub is down
   if (tokenData.error) {
-    return new Response(`Error: ${tokenData.error_description}`, { status: 400 });
+    await recordAuditEvent(env, request, {
+      event: 'flow.failed',
+      flow: 'web',
+      client: stateData.client,
+      reason: tokenData.error_description || tokenData.error
+    });
+    
+    return await failFlow(env, state, stateData, {
+      error: tokenData.error,
+      error_description: tokenData.error_description
+    });
   }
   
+  // Organization/user allowlist - a denied token is revoked right away and
+  // /auth/poll reports the denial instead of a token. So is one whose user
+  // GitHub could not look up.
+  let decision;
+  try {
+    decision = await checkAccessPolicy(env, tokenData.access_token);
+  } catch (error) {
+    log(env, 'error', 'Access policy check failed', errorFields(error));
+    await revokeUserToken(env, tokenData.access_token);
+    await recordAuditEvent(env, request, {
+      event: 'flow.failed',
+      flow: 'web',
+      client: stateData.client,
+      reason: error.message
+    });
+    
+    return await failFlow(env, state, stateData, {
+      error: 'temporarily_unavailable',
+      error_description: 'The access policy could not be checked'
+    });
+  }
+  
+  if (!decision.allowed) {
+    await revokeUserToken(env, tokenData.access_token);
+    await recordAuditEvent(env, request, {
+      event: 'flow.denied',
+      flow: 'web',
+      client: stateData.client,
+      login: decision.user.login,
+      user_id: decision.user.id,
+      reason: decision.reason
+    });
+    
+    return await failFlow(env, state, stateData, {
+      error: 'access_denied',
+      error_description: decision.reason,
+      login: decision.user.login
+    }, renderPage(403, {
+      tone: 'error',
+      title: 'Access Denied',
+      message: decision.reason
+    }));
+  }
+  
+  const user = decision.user || (env.AUDIT_LOG ? await fetchTokenUser(env, tokenData.access_token) : null);
+  observeFlowDuration(env, 'web', stateData.created_at);
+  await recordAuditEvent(env, request, {
+    event: 'flow.completed',
+    flow: 'web',
+    client: stateData.client,
+    login: user?.login,
+    user_id: user?.id,
+    scope: tokenData.scope
+  });
+  
+  // Web apps get a one-time code with the redirect, which /auth/poll checks
+  const linkedInstallation = installationId || stateData.installation_id;
+  const redirectCode = stateData.redirect_uri ? randomToken() : null;
+  
   // Store token in KV for polling
   if (env.AUTH_STATES) {
-    await env.AUTH_STATES.put(state, JSON.stringify({
+    // The record carries live tokens - it is encrypted when keys are configured
+    await env.AUTH_STATES.put(state, await sealRecord(env, state, {
       created_at: Date.now(),
       status: 'completed',
+      client: stateData.client,
+      poll_secret_hash: stateData.poll_secret_hash,
+      code_hash: redirectCode ? await sha256Hex(redirectCode) : undefined,
       access_token: tokenData.access_token,
       token_type: tokenData.token_type,
-      scope: tokenData.scope
+      scope: tokenData.scope,
+      expires_in: tokenData.expires_in,
+      refresh_token: tokenData.refresh_token,
+      refresh_token_expires_in: tokenData.refresh_token_expires_in,
+      installation_id: linkedInstallation || undefined
     }), {
-      expirationTtl: 300 // 5 minutes to poll
+      expirationTtl: 300, // 5 minutes to poll
+      // Lets the installation webhooks find records of removed installations
+      metadata: linkedInstallation ? { installation_id: linkedInstallation } : undefined
     });
   }
   
+  if (redirectCode) {
+    return redirectTo(stateData.redirect_uri, { code: redirectCode, state });
+  }
+  
   // Return success page
-  return new Response(`
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Authorization Successful</title>
-      <style>
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
-          display: flex;
-          justify-content: center;
-          align-items: center;
-          height: 100vh;
-          margin: 0;
-          background: #0d1117;
-          color: #c9d1d9;
-        }
-        .container {
-          text-align: center;
-          padding: 2rem;
-          background: #161b22;
-          border: 1px solid #30363d;
-          border-radius: 6px;
-        }
-        .success {
-          color: #3fb950;
-          font-size: 48px;
-          margin-bottom: 1rem;
-        }
-        h1 {
-          margin: 0 0 0.5rem 0;
-          font-size: 24px;
-        }
-        p {
-          color: #8b949e;
-          margin: 0;
-        }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="success">✓</div>
-        <h1>Authorization Successful</h1>
-        <p>You can now close this window and return to your terminal.</p>
-      </div>
-    </body>
-    </html>
-  `, {
-    status: 200,
-    headers: { 'Content-Type': 'text/html' }
+  return renderPage(200, {
+    tone: 'success',
+    title: setupAction === 'update'
+      ? 'Installation Updated'
+      : linkedInstallation ? 'App Installed and Authorized' : 'Authorization Successful',
+    message: 'You can now close this window and return to your terminal.'
   });
 }
 
 // Handle /auth/poll endpoint - CLI polls this
-async function handleAuthPoll(request, env, body) {
-  const { state } = body;
+async function handleAuthPoll(request, env, body, client) {
+  const { state, poll_secret, code } = body;
   
-  if (!state) {
+  if (!state || !poll_secret) {
     return new Response(JSON.stringify({
-      error: 'state is required'
+      error: 'state and poll_secret are required'
     }), {
       status: 400,
       headers: { 'Content-Type': 'application/json' }
@@ -196,9 +389,15 @@ async function handleAuthPoll(request, env, body) {
     });
   }
   
-  const stateData = await env.AUTH_STATES.get(state, 'json');
+  const stateData = await openRecord(env, state, await env.AUTH_STATES.get(state, 'json'));
   
   if (!stateData) {
+    await recordAuditEvent(env, request, {
+      event: 'flow.expired',
+      flow: 'web',
+      client: client?.name
+    });
+    
     return new Response(JSON.stringify({
       error: 'expired_token',
       error_description: 'State has expired or does not exist'
@@ -208,6 +407,28 @@ async function handleAuthPoll(request, env, body) {
     });
   }
   
+  // Only the client that started the flow may collect the token
+  if (client && stateData.client !== client.name) {
+    return new Response(JSON.stringify({
+      error: 'invalid_grant',
+      error_description: 'This authorization was started by another client'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Knowing the state is not enough - it shows up in browser history
+  if (!timingSafeEqual(await sha256Hex(poll_secret), stateData.poll_secret_hash)) {
+    return new Response(JSON.stringify({
+      error: 'invalid_poll_secret',
+      error_description: 'poll_secret does not match this authorization'
+    }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
   if (stateData.status === 'pending') {
     return new Response(JSON.stringify({
       error: 'authorization_pending',
@@ -219,14 +440,29 @@ async function handleAuthPoll(request, env, body) {
   }
   
   if (stateData.status === 'completed') {
+    // Flows started with a redirect_uri also need the code from the redirect
+    if (stateData.code_hash && !(typeof code === 'string' && timingSafeEqual(await sha256Hex(code), stateData.code_hash))) {
+      return new Response(JSON.stringify({
+        error: 'invalid_grant',
+        error_description: 'code from the redirect is missing or does not match'
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
     // Clean up state
     await env.AUTH_STATES.delete(state);
     
-    // Return token
+    // Return token, including the refresh token when the app issues expiring tokens
     return new Response(JSON.stringify({
       access_token: stateData.access_token,
       token_type: stateData.token_type || 'bearer',
-      scope: stateData.scope
+      scope: stateData.scope,
+      expires_at: new Date(stateData.created_at + (stateData.expires_in || 28800) * 1000).toISOString(),
+      refresh_token: stateData.refresh_token,
+      refresh_token_expires_in: stateData.refresh_token_expires_in,
+      installation_id: stateData.installation_id ? Number(stateData.installation_id) : undefined
     }), {
       status: 200,
       headers: {
@@ -236,6 +472,22 @@ async function handleAuthPoll(request, env, body) {
     });
   }
   
+  if (stateData.status === 'failed') {
+    await env.AUTH_STATES.delete(state);
+    
+    // Refusals are 403, broken requests and exchanges 400
+    const refused = ['access_denied', 'application_suspended', 'installation_requested'].includes(stateData.error);
+    
+    return new Response(JSON.stringify({
+      error: stateData.error,
+      error_description: stateData.error_description,
+      login: stateData.login
+    }), {
+      status: refused ? 403 : 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
   return new Response(JSON.stringify({
     error: 'server_error',
     error_description: 'Invalid state status'
@@ -245,6 +497,190 @@ async function handleAuthPoll(request, env, body) {
   });
 }
 
+// End a flow in the callback: store the error for /auth/poll, send web apps
+// back with it, and show the user an error page (or the given page)
+async function failFlow(env, state, stateData, { error, error_description, login }, page) {
+  if (env.AUTH_STATES && stateData) {
+    await env.AUTH_STATES.put(state, await sealRecord(env, state, {
+      created_at: Date.now(),
+      status: 'failed',
+      client: stateData.client,
+      poll_secret_hash: stateData.poll_secret_hash,
+      error,
+      error_description,
+      login
+    }), {
+      expirationTtl: 300
+    });
+  }
+  
+  if (stateData?.redirect_uri) {
+    return redirectTo(stateData.redirect_uri, { error, error_description, state });
+  }
+  
+  return page || errorPage(error, error_description);
+}
+
+// GitHub's authorize URL for a web flow session, bound to it with PKCE
+async function authorizeUrl(request, env, state, codeVerifier) {
+  const codeChallenge = base64url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier)));
+  const params = new URLSearchParams({
+    client_id: env.GITHUB_CLIENT_ID,
+    redirect_uri: `${new URL(request.url).origin}${appBasePath(env)}/auth/callback`,
+    state: state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+    // Don't include scope for GitHub Apps - they use fine-grained permissions
+  });
+  
+  return `${githubHosts(env).web}/login/oauth/authorize?${params}`;
+}
+
+// Redirect URIs must match an ALLOWED_REDIRECT_URIS entry exactly; https only,
+// except for local development on localhost
+function isRedirectUriAllowed(allowlist, redirectUri) {
+  let url;
+  try {
+    url = new URL(redirectUri);
+  } catch (error) {
+    return false;
+  }
+  
+  const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+  if (url.protocol !== 'https:' && !(isLocal && url.protocol === 'http:')) {
+    return false;
+  }
+  
+  return (allowlist || '').split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .includes(redirectUri);
+}
+
+// Send the browser back to the web app with the given query parameters
+function redirectTo(redirectUri, params) {
+  const location = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) {
+      location.searchParams.set(key, value);
+    }
+  }
+  
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': location.toString(),
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+const PAGE_TONES = {
+  success: { icon: '✓', color: '#3fb950' },
+  pending: { icon: '…', color: '#d29922' },
+  error: { icon: '✗', color: '#f85149' }
+};
+
+// Error pages for the errors GitHub redirects with, and our own
+const ERROR_PAGES = {
+  access_denied: {
+    status: 403,
+    title: 'Authorization Cancelled',
+    message: 'No token was issued. Start again from your terminal if this was a mistake.'
+  },
+  redirect_uri_mismatch: {
+    status: 400,
+    title: 'Callback URL Mismatch',
+    message: "The GitHub App's callback URL does not point at this broker. Ask the broker's operator to fix the app settings."
+  },
+  application_suspended: {
+    status: 403,
+    title: 'App Suspended',
+    message: "The GitHub App has been suspended. Ask the broker's operator to reinstate it."
+  },
+  server_error: {
+    status: 500,
+    title: 'Authorization Failed',
+    message: 'The broker is not configured for the web flow.'
+  },
+  temporarily_unavailable: {
+    status: 502,
+    title: 'GitHub Unavailable',
+    message: 'GitHub could not complete the authorization. Start again from your terminal in a few minutes.'
+  }
+};
+
+function errorPage(error, description) {
+  const page = ERROR_PAGES[error] || {
+    status: 400,
+    title: 'Authorization Failed',
+    message: description || `GitHub reported an error: ${error}`
+  };
+  
+  return renderPage(page.status, { tone: 'error', ...page });
+}
+
+// Status page shown in the user's browser at the end of the callback
+function renderPage(status, { tone, title, message }) {
+  const { icon, color } = PAGE_TONES[tone];
+  
+  return new Response(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(title)}</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          height: 100vh;
+          margin: 0;
+          background: #0d1117;
+          color: #c9d1d9;
+        }
+        .container {
+          text-align: center;
+          padding: 2rem;
+          max-width: 32rem;
+          background: #161b22;
+          border: 1px solid #30363d;
+          border-radius: 6px;
+        }
+        .icon {
+          color: ${color};
+          font-size: 48px;
+          margin-bottom: 1rem;
+        }
+        h1 {
+          margin: 0 0 0.5rem 0;
+          font-size: 24px;
+        }
+        p {
+          color: #8b949e;
+          margin: 0;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="icon">${icon}</div>
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+      </div>
+    </body>
+    </html>
+  `, {
+    status,
+    headers: { 'Content-Type': 'text/html' }
+  });
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
 // Main request handler
 export default {
   async fetch(request, env, ctx) {
@@ -268,12 +704,28 @@ export default {
     
     // Route requests
     try {
+      // Registered clients only, when a client registry is configured
+      // (/auth/callback is GitHub redirecting the user's browser)
+      let client = null;
+      if (url.pathname === '/auth/start' || url.pathname === '/auth/poll') {
+        const auth = await authenticateClient(request, env, url.pathname);
+        if (auth.denied) {
+          return auth.denied;
+        }
+        client = auth.client;
+      }
+      
       switch (url.pathname) {
         case '/auth/start':
           if (request.method !== 'POST') {
             return new Response('Method not allowed', { status: 405 });
           }
-          return await handleAuthStart(request, env);
+          const limited = await enforceRateLimits(request, env, url.pathname);
+          if (limited) {
+            return limited;
+          }
+          const startBody = await request.json().catch(() => ({}));
+          return await handleAuthStart(request, env, startBody, client);
         
         case '/auth/callback':
           if (request.method !== 'GET') {
@@ -286,13 +738,13 @@ export default {
             return new Response('Method not allowed', { status: 405 });
           }
           const body = await request.json().catch(() => ({}));
-          return await handleAuthPoll(request, env, body);
+          return await handleAuthPoll(request, env, body, client);
         
         default:
           return new Response('Not found', { status: 404 });
       }
     } catch (error) {
-      console.error('Error:', error);
+      log(env, 'error', 'Web flow request failed', errorFields(error));
       return new Response(JSON.stringify({
         error: 'internal_error',
         message: error.message
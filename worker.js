@@ -6,8 +6,10 @@
  * 
  * Setup:
  * 1. wrangler secret put GITHUB_CLIENT_ID  # From GitHub App settings
+ *    wrangler secret put GITHUB_CLIENT_SECRET  # Needed for refresh/revoke/introspect/scoping
  * 2. wrangler secret put GITHUB_APP_ID      # From GitHub App settings  
  * 3. wrangler secret put GITHUB_APP_PRIVATE_KEY  # From GitHub App settings
+ *    wrangler secret put GITHUB_APP_PRIVATE_KEY_NEXT  # Optional, during key rotation
  * 4. wrangler deploy
  * 
  * Usage with ai-aligned-gh:
@@ -16,12 +18,61 @@
  * Manual testing:
  *    # Start device flow
  *    curl -X POST https://your-worker.workers.dev/user-token/start -d '{"scopes":"repo"}'
+ *    # ...or ask for a token limited to one repository and permission
+ *    curl -X POST https://your-worker.workers.dev/user-token/start \
+ *      -d '{"repositories":["owner/repo"],"permissions":{"contents":"write"}}'
  *    # Go to verification_uri and enter user_code
  *    # Poll for token
  *    curl -X POST https://your-worker.workers.dev/user-token/poll -d '{"device_code":"..."}'
+ *    # Refresh an expired token
+ *    curl -X POST https://your-worker.workers.dev/user-token/refresh -d '{"refresh_token":"ghr_..."}'
+ *    # Revoke a token when done (add "grant":true to revoke all of the user's tokens)
+ *    curl -X POST https://your-worker.workers.dev/user-token/revoke -d '{"access_token":"ghu_..."}'
+ *    # Or keep the tokens on the server and get a session handle instead
+ *    curl -X POST https://your-worker.workers.dev/user-token/poll -d '{"device_code":"...","session":true}'
+ *    curl -X POST https://your-worker.workers.dev/session/token -d '{"session":"bsh_..."}'
+ *    # Check who a token belongs to and what it can reach
+ *    curl -X POST https://your-worker.workers.dev/user-token/introspect -d '{"access_token":"ghu_..."}'
  */
 
-import { signJWT } from './jwt-simple.js';
+import {
+  githubRequest,
+  githubHosts,
+  githubFetch,
+  appBasicAuth,
+  fetchTokenUser,
+  refreshUserToken,
+  revokeUserToken
+} from './github-api.js';
+import { appRequest } from './app-auth.js';
+import { createSession, getSession, refreshSession, deleteSession } from './token-vault.js';
+import { sealRecord, openRecord } from './kv-crypto.js';
+import { handleGitHubWebhook } from './webhooks.js';
+import { enforceRateLimits } from './rate-limit.js';
+import { authenticateClient, oauthClientCredentials } from './clients.js';
+import { checkAccessPolicy } from './policy.js';
+import { recordAuditEvent } from './audit-log.js';
+import { handlePreflight, withCors } from './cors.js';
+import { selectApp, listApps, appBasePath } from './apps.js';
+import { log, errorFields, requestIdFor } from './log.js';
+import {
+  handleMetrics,
+  routeLabel,
+  incrementCounter,
+  observeHistogram,
+  countFlowEvent,
+  observeFlowDuration
+} from './metrics.js';
+import {
+  DEVICE_CODE_GRANT,
+  readOAuthParams,
+  oauthError,
+  toOAuthResponse,
+  authorizationServerMetadata
+} from './oauth.js';
+
+// Refresh vaulted tokens this many seconds before they expire
+const TOKEN_REFRESH_MARGIN = 300;
 
 
 
@@ -31,8 +82,8 @@ import { signJWT } from './jwt-simple.js';
 
 
 // Handle /user-token/start endpoint
-async function handleUserTokenStart(request, env, body) {
-  const { scopes, redirect_uri } = body;
+async function handleUserTokenStart(request, env, body, client) {
+  const { scopes } = body;
   const clientId = env.GITHUB_CLIENT_ID;
   
   if (!clientId) {
@@ -44,8 +95,32 @@ async function handleUserTokenStart(request, env, body) {
     });
   }
   
-  // OAuth endpoints are on github.com, not api.github.com
-  const url = 'https://github.com/login/device/code';
+  // Optional repository/permission scope, applied once the user has authorized
+  const scopeRequest = parseScopeRequest(body);
+  
+  if (scopeRequest?.error) {
+    return new Response(JSON.stringify({
+      error: 'invalid_scope',
+      error_description: scopeRequest.error
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // The scoped token API authenticates with client ID and secret
+  if (scopeRequest && !env.GITHUB_CLIENT_SECRET) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Token scoping not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // OAuth endpoints are on the web host, not the API host
+  const url = `${githubHosts(env).web}/login/device/code`;
   
   const params = new URLSearchParams({
     client_id: clientId
@@ -57,7 +132,7 @@ async function handleUserTokenStart(request, env, body) {
   // Do NOT send scopes parameter - it would break the GitHub App authentication
   
   try {
-    const response = await fetch(url, {
+    const response = await githubFetch(env, url, {
       method: 'POST',
       headers: {
         'Accept': 'application/json',
@@ -74,17 +149,25 @@ async function handleUserTokenStart(request, env, body) {
     
     // Store device code data in KV for polling (if KV is available)
     if (env.DEVICE_CODES) {
-      await env.DEVICE_CODES.put(data.device_code, JSON.stringify({
+      await env.DEVICE_CODES.put(data.device_code, await sealRecord(env, data.device_code, {
         ...data,
         created_at: Date.now(),
-        redirect_uri
+        scope_request: scopeRequest,
+        client: client?.name
       }), {
         expirationTtl: data.expires_in
       });
     } else {
-      console.warn('DEVICE_CODES KV namespace not configured - device flow will not persist');
+      log(env, 'warn', 'DEVICE_CODES KV namespace not configured - device flow will not persist');
     }
     
+    await recordAuditEvent(env, request, {
+      event: 'flow.started',
+      flow: 'device',
+      client: client?.name,
+      scope: scopeRequest || undefined
+    });
+    
     return new Response(JSON.stringify({
       device_code: data.device_code,
       user_code: data.user_code,
@@ -108,24 +191,257 @@ async function handleUserTokenStart(request, env, body) {
 // Note: We do NOT exchange user tokens for installation tokens
 // User-to-server tokens (ghu_ prefix) maintain user identity with app badge
 // Installation tokens (ghs_ prefix) would show actions as from the bot only
-// This is intentionally removed to ensure proper user attribution
+// The only way to get one is the opt-in /token endpoint below, meant for
+// automation (e.g. scheduled jobs) that really should act as the bot
+
+// Repository permission levels, lowest first
+const ACCESS_LEVELS = ['read', 'triage', 'write', 'maintain', 'admin'];
 
-// Create JWT for GitHub App authentication
-async function createAppJWT(appId, privateKey) {
-  const now = Math.floor(Date.now() / 1000);
+// Repository permissions an installation token from /token may carry, with the
+// role the user needs for write access. Read access needs read, except for the
+// permissions that need admin either way. Organization permissions and anything
+// else not listed are never granted.
+const PERMISSION_ROLES = {
+  actions: 'write',
+  checks: 'write',
+  contents: 'write',
+  deployments: 'write',
+  discussions: 'write',
+  issues: 'write',
+  merge_queues: 'write',
+  metadata: 'write',
+  packages: 'write',
+  pages: 'write',
+  pull_requests: 'write',
+  statuses: 'write',
+  workflows: 'write',
+  administration: 'admin',
+  dependabot_secrets: 'admin',
+  environments: 'admin',
+  repository_custom_properties: 'admin',
+  repository_hooks: 'admin',
+  secret_scanning_alerts: 'admin',
+  secrets: 'admin',
+  security_events: 'admin',
+  vulnerability_alerts: 'admin'
+};
+
+// Handle /token endpoint - mint a repo-scoped installation token
+// Disabled unless ENABLE_INSTALLATION_TOKENS is "true". The caller must send a
+// valid user token, the repository must be on the INSTALLATION_TOKEN_REPOS
+// allowlist, and the user needs at least the access the token would carry.
+async function handleInstallationToken(request, env, body) {
+  if (env.ENABLE_INSTALLATION_TOKENS !== 'true') {
+    return new Response(JSON.stringify({
+      error: 'Not found'
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
   
-  const payload = {
-    iat: now - 60,  // Issued 60 seconds ago to account for clock drift
-    exp: now + 600, // Expires in 10 minutes
-    iss: appId      // Issuer is the app ID
-  };
+  if (!env.GITHUB_APP_ID || !(env.GITHUB_APP_PRIVATE_KEY || env.GITHUB_APP_PRIVATE_KEY_NEXT)) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'GitHub App credentials not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Verify the caller with their own GitHub token
+  const authHeader = request.headers.get('Authorization') || '';
+  const userToken = authHeader.match(/^(?:Bearer|token)\s+(.+)$/i)?.[1];
+  
+  if (!userToken) {
+    return new Response(JSON.stringify({
+      error: 'unauthorized',
+      error_description: 'A GitHub user token is required in the Authorization header'
+    }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const { owner, repo, permissions } = body;
+  
+  if (!owner || !repo) {
+    return new Response(JSON.stringify({
+      error: 'owner and repo are required'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  try {
+    const userResponse = await githubRequest(env, '/user', { token: userToken });
+    
+    if (!userResponse.ok) {
+      return new Response(JSON.stringify({
+        error: 'unauthorized',
+        error_description: 'Invalid GitHub token'
+      }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const user = await userResponse.json();
+    
+    if (!isRepositoryAllowed(env.INSTALLATION_TOKEN_REPOS, owner, repo)) {
+      return new Response(JSON.stringify({
+        error: 'forbidden',
+        error_description: `Installation tokens are not allowed for ${owner}/${repo}`
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    // The user must be able to see the repository at all
+    const repoResponse = await githubRequest(env, `/repos/${owner}/${repo}`, { token: userToken });
+    
+    if (!repoResponse.ok) {
+      return new Response(JSON.stringify({
+        error: 'not_found',
+        error_description: `Repository ${owner}/${repo} not found or not accessible`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const installationResponse = await appRequest(env, `/repos/${owner}/${repo}/installation`);
+    
+    if (!installationResponse.ok) {
+      return new Response(JSON.stringify({
+        error: 'not_found',
+        error_description: `GitHub App is not installed on ${owner}/${repo}`
+      }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const installation = await installationResponse.json();
+    
+    // Without explicit permissions the token gets the installation's repository
+    // permissions - never its organization permissions
+    let tokenPermissions = permissions;
+    if (!tokenPermissions) {
+      const permissionsResponse = await appRequest(env, `/app/installations/${installation.id}`);
+      if (!permissionsResponse.ok) {
+        throw new Error(`GitHub returned ${permissionsResponse.status} while reading installation`);
+      }
+      tokenPermissions = Object.fromEntries(Object.entries((await permissionsResponse.json()).permissions || {})
+        .filter(([name]) => PERMISSION_ROLES[name]));
+    }
+    
+    const refused = Object.keys(tokenPermissions).filter(name => !PERMISSION_ROLES[name]);
+    
+    if (refused.length) {
+      return new Response(JSON.stringify({
+        error: 'invalid_scope',
+        error_description: `Installation tokens cannot carry ${refused.join(', ')}`
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    // The user needs at least the role each permission of the token calls for
+    const requiredLevel = Object.entries(tokenPermissions)
+      .map(([name, level]) => (level === 'read' && PERMISSION_ROLES[name] !== 'admin' ? 'read' : PERMISSION_ROLES[name]))
+      .reduce((highest, role) => (ACCESS_LEVELS.indexOf(role) > ACCESS_LEVELS.indexOf(highest) ? role : highest), 'read');
+    
+    const collaboratorResponse = await githubRequest(
+      env,
+      `/repos/${owner}/${repo}/collaborators/${user.login}/permission`,
+      { token: userToken }
+    );
+    const userLevel = collaboratorResponse.ok
+      ? (await collaboratorResponse.json()).permission
+      : 'none';
+    
+    if (ACCESS_LEVELS.indexOf(userLevel) < ACCESS_LEVELS.indexOf(requiredLevel)) {
+      return new Response(JSON.stringify({
+        error: 'forbidden',
+        error_description: `${user.login} needs ${requiredLevel} access to ${owner}/${repo}, has ${userLevel}`
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const tokenResponse = await appRequest(env, `/app/installations/${installation.id}/access_tokens`, {
+      method: 'POST',
+      body: {
+        repositories: [repo],
+        permissions: tokenPermissions
+      }
+    });
+    
+    if (!tokenResponse.ok) {
+      const data = await tokenResponse.json().catch(() => ({}));
+      return new Response(JSON.stringify({
+        error: 'invalid_scope',
+        error_description: data.message || 'Requested permissions cannot be granted'
+      }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const tokenData = await tokenResponse.json();
+    
+    await recordAuditEvent(env, request, {
+      event: 'installation_token.issued',
+      login: user.login,
+      user_id: user.id,
+      repository: `${owner}/${repo}`,
+      permissions: tokenData.permissions
+    });
+    
+    return new Response(JSON.stringify({
+      token: tokenData.token,
+      expires_at: tokenData.expires_at,
+      permissions: tokenData.permissions,
+      repository: `${owner}/${repo}`,
+      requested_by: user.login
+    }), {
+      status: 201,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Check a repository against a comma-separated allowlist of "owner/repo" and
+// "owner/*" entries. An empty allowlist allows nothing.
+function isRepositoryAllowed(allowlist, owner, repo) {
+  const fullName = `${owner}/${repo}`.toLowerCase();
   
-  return await signJWT(payload, privateKey);
+  return (allowlist || '').split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean)
+    .some(entry => entry === fullName || entry === `${owner.toLowerCase()}/*`);
 }
 
 // Handle /user-token/poll endpoint
-async function handleUserTokenPoll(request, env, body) {
-  const { device_code } = body;
+async function handleUserTokenPoll(request, env, body, client) {
+  const { device_code, session } = body;
   
   if (!device_code) {
     return new Response(JSON.stringify({
@@ -147,9 +463,26 @@ async function handleUserTokenPoll(request, env, body) {
     });
   }
   
-  const deviceData = await env.DEVICE_CODES.get(device_code, 'json');
+  // Vault mode keeps the tokens server-side and hands out a session handle
+  if (session && !env.TOKEN_VAULT) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Token vault not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const deviceData = await openRecord(env, device_code, await env.DEVICE_CODES.get(device_code, 'json'));
   
   if (!deviceData) {
+    await recordAuditEvent(env, request, {
+      event: 'flow.expired',
+      flow: 'device',
+      client: client?.name
+    });
+    
     return new Response(JSON.stringify({
       error: 'expired_token',
       error_description: 'Device code has expired'
@@ -159,9 +492,20 @@ async function handleUserTokenPoll(request, env, body) {
     });
   }
   
+  // Only the client that started the flow may collect the token
+  if (client && deviceData.client !== client.name) {
+    return new Response(JSON.stringify({
+      error: 'invalid_grant',
+      error_description: 'This device code was issued to another client'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
   const clientId = env.GITHUB_CLIENT_ID;
-  // OAuth endpoints are on github.com, not api.github.com
-  const url = 'https://github.com/login/oauth/access_token';
+  // OAuth endpoints are on the web host, not the API host
+  const url = `${githubHosts(env).web}/login/oauth/access_token`;
   
   const params = new URLSearchParams({
     client_id: clientId,
@@ -170,7 +514,7 @@ async function handleUserTokenPoll(request, env, body) {
   });
   
   try {
-    const response = await fetch(url, {
+    const response = await githubFetch(env, url, {
       method: 'POST',
       headers: {
         'Accept': 'application/json',
@@ -195,17 +539,37 @@ async function handleUserTokenPoll(request, env, body) {
       }
       
       if (data.error === 'slow_down') {
-        // Client is polling too fast
+        // Client is polling too fast. The longer interval holds for every later
+        // poll (RFC 8628 section 3.5), so authorization_pending reports it too
+        const interval = data.interval || deviceData.interval + 5;
+        countFlowEvent(env, 'device', 'slow_down');
+        await env.DEVICE_CODES.put(device_code, await sealRecord(env, device_code, {
+          ...deviceData,
+          interval
+        }), {
+          expirationTtl: Math.max(Math.floor((deviceData.created_at + deviceData.expires_in * 1000 - Date.now()) / 1000), 60)
+        });
+        
         return new Response(JSON.stringify({
           error: 'slow_down',
           error_description: 'Polling too frequently',
-          interval: deviceData.interval + 5
+          interval
         }), {
           status: 429,
           headers: { 'Content-Type': 'application/json' }
         });
       }
       
+      // The user cancelled, or the code ran out before they authorized it
+      if (data.error === 'access_denied' || data.error === 'expired_token') {
+        await recordAuditEvent(env, request, {
+          event: data.error === 'access_denied' ? 'flow.denied' : 'flow.expired',
+          flow: 'device',
+          client: deviceData.client,
+          reason: data.error_description
+        });
+      }
+      
       // Other errors
       return new Response(JSON.stringify({
         error: data.error,
@@ -222,19 +586,128 @@ async function handleUserTokenPoll(request, env, body) {
     // Installation tokens (ghs_ prefix) would lose user attribution
     const finalToken = data.access_token;
     
-    // Clean up device code (if KV is available)
+    // Organization/user allowlist - the token is never released on denial, nor
+    // when GitHub cannot tell who the user is
+    let decision;
+    try {
+      decision = await checkAccessPolicy(env, data.access_token);
+    } catch (error) {
+      log(env, 'error', 'Access policy check failed', errorFields(error));
+      await revokeUserToken(env, data.access_token);
+      await recordAuditEvent(env, request, {
+        event: 'flow.failed',
+        flow: 'device',
+        client: deviceData.client,
+        reason: error.message
+      });
+      
+      return new Response(JSON.stringify({
+        error: 'server_error',
+        error_description: 'The access policy could not be checked, start again'
+      }), {
+        status: 502,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    // Clean up device code (if KV is available) once the flow is decided
     if (env.DEVICE_CODES) {
       await env.DEVICE_CODES.delete(device_code);
     }
     
-    // Calculate expiration
-    const expiresAt = new Date(Date.now() + (data.expires_in || 28800) * 1000).toISOString();
+    if (!decision.allowed) {
+      await revokeUserToken(env, data.access_token);
+      await recordAuditEvent(env, request, {
+        event: 'flow.denied',
+        flow: 'device',
+        client: deviceData.client,
+        login: decision.user.login,
+        user_id: decision.user.id,
+        reason: decision.reason
+      });
+      
+      return new Response(JSON.stringify({
+        error: 'access_denied',
+        error_description: decision.reason,
+        login: decision.user.login
+      }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    let payload = buildTokenPayload(data);
+    
+    // Narrow the token to the scope requested at /user-token/start
+    if (deviceData.scope_request) {
+      let scoped;
+      try {
+        scoped = await scopeUserToken(env, data.access_token, deviceData.scope_request);
+      } finally {
+        // The unscoped token is never handed out - whether scoping worked or not,
+        // it must not stay valid
+        await revokeUserToken(env, data.access_token);
+      }
+      
+      if (scoped.error) {
+        return new Response(JSON.stringify({
+          error: 'invalid_scope',
+          error_description: scoped.error
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      
+      // No refresh token here: refreshing would hand back an unscoped token
+      payload = {
+        access_token: scoped.access_token,
+        token_type: payload.token_type,
+        expires_at: scoped.expires_at || payload.expires_at,
+        scope: payload.scope,
+        granted_scope: scoped.granted_scope
+      };
+    }
+    
+    // The owner goes into the audit log and into vault sessions, so a
+    // revocation webhook can purge them
+    let user = decision.user;
+    if (!user && (session || env.AUDIT_LOG)) {
+      user = await fetchTokenUser(env, payload.access_token);
+    }
+    
+    observeFlowDuration(env, 'device', deviceData.created_at);
+    await recordAuditEvent(env, request, {
+      event: 'flow.completed',
+      flow: 'device',
+      client: deviceData.client,
+      login: user?.login,
+      user_id: user?.id,
+      scope: payload.scope,
+      granted_scope: payload.granted_scope,
+      session: Boolean(session)
+    });
+    
+    if (session) {
+      const vaulted = await createSession(env, payload, user, deviceData.client);
+      
+      return new Response(JSON.stringify({
+        session: vaulted.handle,
+        session_expires_at: vaulted.expires_at,
+        expires_at: payload.expires_at,
+        scope: payload.scope,
+        granted_scope: payload.granted_scope
+      }), {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-store'
+        }
+      });
+    }
     
     return new Response(JSON.stringify({
-      access_token: finalToken,
-      token_type: data.token_type || 'bearer',
-      expires_at: expiresAt,
-      scope: data.scope,
+      ...payload,
       app_attribution: finalToken !== data.access_token // Indicate if we got an installation token
     }), {
       status: 200,
@@ -254,102 +727,954 @@ async function handleUserTokenPoll(request, env, body) {
   }
 }
 
-// Import web flow handlers
-import webFlow from './worker-web.js';
+// Validate the optional repositories/repository_ids/permissions scope of a
+// /user-token/start request. Returns null when no scope was requested.
+function parseScopeRequest(body) {
+  const { target, target_id, repositories, repository_ids, permissions } = body;
+  
+  if (repositories === undefined && repository_ids === undefined && permissions === undefined) {
+    return null;
+  }
+  
+  if (repositories !== undefined &&
+      (!Array.isArray(repositories) || !repositories.every(name => typeof name === 'string' && name))) {
+    return { error: 'repositories must be an array of repository names' };
+  }
+  
+  if (repository_ids !== undefined &&
+      (!Array.isArray(repository_ids) || !repository_ids.every(Number.isInteger))) {
+    return { error: 'repository_ids must be an array of numeric repository IDs' };
+  }
+  
+  if (permissions !== undefined &&
+      (typeof permissions !== 'object' || permissions === null || Array.isArray(permissions) ||
+       !Object.values(permissions).every(level => ['read', 'write', 'admin'].includes(level)))) {
+    return { error: 'permissions must map permission names to read, write or admin' };
+  }
+  
+  // "owner/repo" names also tell us which account to scope the token to
+  const owners = new Set(target ? [target] : []);
+  const names = (repositories || []).map(name => {
+    const [owner, repo] = name.includes('/') ? name.split('/') : [null, name];
+    if (owner) {
+      owners.add(owner);
+    }
+    return repo;
+  });
+  
+  if (owners.size > 1) {
+    return { error: 'All repositories must belong to the same owner' };
+  }
+  
+  const scopeTarget = [...owners][0];
+  
+  if (!scopeTarget && target_id === undefined) {
+    return { error: 'target (or owner/repo repository names) is required to scope a token' };
+  }
+  
+  return {
+    target: scopeTarget,
+    target_id,
+    repositories: repositories ? names : undefined,
+    repository_ids,
+    permissions
+  };
+}
 
-// Main request handler
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    
-    // Route web flow endpoints to web flow handler
-    if (url.pathname.startsWith('/auth/')) {
-      return webFlow.fetch(request, env, ctx);
+// Exchange a user token for a repository- and/or permission-scoped one
+// via GitHub's POST /applications/{client_id}/token/scoped
+async function scopeUserToken(env, accessToken, scopeRequest) {
+  const response = await githubRequest(env, `/applications/${env.GITHUB_CLIENT_ID}/token/scoped`, {
+    method: 'POST',
+    auth: appBasicAuth(env),
+    body: {
+      access_token: accessToken,
+      ...scopeRequest
+    }
+  });
+  
+  // 404/422: unknown target, repositories outside the installation or
+  // permissions the app does not have
+  if (response.status === 404 || response.status === 422) {
+    const data = await response.json().catch(() => ({}));
+    return { error: data.message || 'Requested scope cannot be granted' };
+  }
+  
+  if (!response.ok) {
+    throw new Error(`GitHub returned ${response.status} while scoping token`);
+  }
+  
+  const data = await response.json();
+  const installation = data.installation || {};
+  
+  // What GitHub granted, which is not necessarily what was asked for
+  return {
+    access_token: data.token,
+    expires_at: data.expires_at,
+    granted_scope: {
+      target: installation.account?.login,
+      repository_selection: installation.repository_selection,
+      repositories: installation.repository_selection === 'all'
+        ? undefined
+        : await listTokenRepositories(env, data.token),
+      permissions: installation.permissions
     }
+  };
+}
+
+// Full names of the repositories a token can reach (only the first 100)
+async function listTokenRepositories(env, accessToken) {
+  const response = await githubRequest(env, '/user/repos?per_page=100', {
+    token: accessToken
+  });
+  
+  if (!response.ok) {
+    throw new Error(`GitHub returned ${response.status} while listing repositories`);
+  }
+  
+  return (await response.json()).map(repo => repo.full_name);
+}
+
+// Handle /user-token/refresh endpoint
+async function handleUserTokenRefresh(request, env, body, client) {
+  const { refresh_token } = body;
+  
+  if (!refresh_token) {
+    return new Response(JSON.stringify({
+      error: 'refresh_token is required'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  // Unlike the device flow, refreshing requires the client secret
+  if (!env.GITHUB_CLIENT_ID || !env.GITHUB_CLIENT_SECRET) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Token refresh not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  try {
+    const data = await refreshUserToken(env, refresh_token);
     
-    // Allow GET for health check
-    if (request.method === 'GET' && (url.pathname === '/' || url.pathname === '/health')) {
+    // GitHub answers 200 with an error body, e.g. bad_refresh_token
+    if (data.error) {
       return new Response(JSON.stringify({
-        status: 'healthy',
-        service: 'GitHub App Token Broker for ai-aligned-gh',
-        timestamp: new Date().toISOString(),
-        endpoints: {
-          '/user-token/start': 'Start device flow (POST)',
-          '/user-token/poll': 'Poll device flow (POST)',
-          '/auth/start': 'Start web flow (POST)',
-          '/auth/callback': 'OAuth callback (GET)',
-          '/auth/poll': 'Poll web flow (POST)'
-        }
-      }), {
-        status: 200,
-        headers: {
-          'Content-Type': 'application/json'
-        }
+        error: data.error,
+        error_description: data.error_description
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
       });
     }
     
-    // Only allow POST for other endpoints
-    if (request.method !== 'POST') {
-      return new Response(JSON.stringify({
-        error: 'Method not allowed'
+    const checked = await checkRefreshedToken(request, env, data.access_token, client?.name);
+    
+    if (checked.denied) {
+      return checked.denied;
+    }
+    
+    const payload = buildTokenPayload(data);
+    const user = checked.user || (env.AUDIT_LOG ? await fetchTokenUser(env, data.access_token) : null);
+    
+    await recordAuditEvent(env, request, {
+      event: 'token.refreshed',
+      flow: 'refresh',
+      client: client?.name,
+      login: user?.login,
+      user_id: user?.id,
+      scope: payload.scope
+    });
+    
+    return new Response(JSON.stringify(payload), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Check the owner of a refreshed token against ACCESS_POLICY, which they may
+// no longer pass (left the org, dropped out of a team). Denied tokens, and
+// tokens whose user GitHub could not look up, are revoked right away.
+// Returns { user } - null without a policy - or { denied } with the Response
+// to send back.
+async function checkRefreshedToken(request, env, accessToken, client) {
+  let decision;
+  try {
+    decision = await checkAccessPolicy(env, accessToken);
+  } catch (error) {
+    log(env, 'error', 'Access policy check failed', errorFields(error));
+    await revokeUserToken(env, accessToken);
+    
+    return {
+      denied: new Response(JSON.stringify({
+        error: 'server_error',
+        error_description: 'The access policy could not be checked'
       }), {
-        status: 405,
-        headers: {
-          'Content-Type': 'application/json'
+        status: 502,
+        headers: { 'Content-Type': 'application/json' }
+      })
+    };
+  }
+  
+  if (decision.allowed) {
+    return { user: decision.user };
+  }
+  
+  await revokeUserToken(env, accessToken);
+  await recordAuditEvent(env, request, {
+    event: 'flow.denied',
+    flow: 'refresh',
+    client,
+    login: decision.user.login,
+    user_id: decision.user.id,
+    reason: decision.reason
+  });
+  
+  return {
+    denied: new Response(JSON.stringify({
+      error: 'access_denied',
+      error_description: decision.reason,
+      login: decision.user.login
+    }), {
+      status: 403,
+      headers: { 'Content-Type': 'application/json' }
+    })
+  };
+}
+
+// Handle /session/token endpoint
+// Exchanges an opaque session handle for a currently valid access token,
+// refreshing the vaulted token pair when it is about to expire
+async function handleSessionToken(request, env, body) {
+  const { session } = body;
+  
+  if (!session) {
+    return new Response(JSON.stringify({
+      error: 'session is required'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  if (!env.TOKEN_VAULT) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Token vault not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  let record = await getSession(env, session);
+  
+  if (!record) {
+    return new Response(JSON.stringify({
+      error: 'invalid_session',
+      error_description: 'Session has expired or does not exist'
+    }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  try {
+    // Refresh a few minutes early so callers never get a token that dies mid-request
+    if (Date.parse(record.expires_at) - Date.now() < TOKEN_REFRESH_MARGIN * 1000) {
+      if (!record.refresh_token || !env.GITHUB_CLIENT_SECRET) {
+        await deleteSession(env, session);
+        return new Response(JSON.stringify({
+          error: 'expired_token',
+          error_description: 'Session token has expired and cannot be refreshed'
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      
+      const data = await refreshUserToken(env, record.refresh_token);
+      
+      if (!data.error) {
+        const checked = await checkRefreshedToken(request, env, data.access_token, record.client);
+        
+        if (checked.denied) {
+          await deleteSession(env, session);
+          return checked.denied;
         }
-      });
+        
+        record = await refreshSession(env, session, record, buildTokenPayload(data));
+        await recordAuditEvent(env, request, {
+          event: 'token.refreshed',
+          flow: 'session',
+          client: record.client,
+          login: record.user?.login,
+          user_id: record.user?.id,
+          scope: record.scope
+        });
+      } else {
+        // Refresh tokens are single-use: when two requests refresh at once, the
+        // one that lost finds the winner's tokens in the vault
+        const current = await getSession(env, session);
+        
+        if (!current?.refresh_token || current.refresh_token === record.refresh_token) {
+          // The grant is gone (revoked or refresh token expired) - so is the session
+          await deleteSession(env, session);
+          return new Response(JSON.stringify({
+            error: data.error,
+            error_description: data.error_description
+          }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        
+        record = current;
+      }
     }
     
-    // Parse request body
-    let body;
+    return new Response(JSON.stringify({
+      access_token: record.access_token,
+      token_type: record.token_type || 'bearer',
+      expires_at: record.expires_at,
+      scope: record.scope,
+      granted_scope: record.granted_scope
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Handle /session/logout endpoint
+// Ends a session and revokes the vaulted token with GitHub
+async function handleSessionLogout(request, env, body) {
+  const { session } = body;
+  
+  if (!session) {
+    return new Response(JSON.stringify({
+      error: 'session is required'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  if (!env.TOKEN_VAULT) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Token vault not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const record = await getSession(env, session);
+  
+  if (record) {
+    await deleteSession(env, session);
+    await recordAuditEvent(env, request, {
+      event: 'token.revoked',
+      flow: 'session',
+      client: record.client,
+      login: record.user?.login,
+      user_id: record.user?.id,
+      reason: 'Session logout'
+    });
     
-    try {
-      const rawBody = await request.text();
-      body = rawBody ? JSON.parse(rawBody) : {};
-    } catch (error) {
+    // Best effort: the session is gone either way
+    await revokeUserToken(env, record.access_token);
+  }
+  
+  return new Response(JSON.stringify({
+    logged_out: true
+  }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Handle /user-token/revoke endpoint
+// Revokes a single token, or with grant: true the user's whole authorization
+// of the app (every token issued to them)
+async function handleUserTokenRevoke(request, env, body, client) {
+  const { access_token, grant } = body;
+  
+  if (!access_token) {
+    return new Response(JSON.stringify({
+      error: 'access_token is required'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const clientId = env.GITHUB_CLIENT_ID;
+  
+  // The Apps token API authenticates with client ID and secret
+  if (!clientId || !env.GITHUB_CLIENT_SECRET) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Token revocation not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const path = grant
+    ? `/applications/${clientId}/grant`
+    : `/applications/${clientId}/token`;
+  
+  try {
+    // The owner can only be looked up while the token still works
+    const user = env.AUDIT_LOG ? await fetchTokenUser(env, access_token) : null;
+    const response = await githubRequest(env, path, {
+      method: 'DELETE',
+      auth: appBasicAuth(env),
+      body: { access_token }
+    });
+    
+    // GitHub answers 404 or 422 for tokens it does not know (or already revoked)
+    if (response.status === 404 || response.status === 422) {
       return new Response(JSON.stringify({
-        error: 'Invalid request body'
+        error: 'invalid_token',
+        error_description: 'Token is invalid or has already been revoked'
       }), {
         status: 400,
-        headers: {
-          'Content-Type': 'application/json'
-        }
+        headers: { 'Content-Type': 'application/json' }
       });
     }
     
-    // Route requests
-    try {
-      let response;
-      
-      switch (url.pathname) {
-        case '/user-token/start':
-          response = await handleUserTokenStart(request, env, body);
-          break;
-        
-        case '/user-token/poll':
-          response = await handleUserTokenPoll(request, env, body);
-          break;
-        
-        default:
-          response = new Response(JSON.stringify({
-            error: 'Not found'
-          }), {
-            status: 404,
-            headers: { 'Content-Type': 'application/json' }
-          });
+    if (response.status !== 204) {
+      throw new Error(`GitHub returned ${response.status} while revoking ${grant ? 'grant' : 'token'}`);
+    }
+    
+    await recordAuditEvent(env, request, {
+      event: 'token.revoked',
+      client: client?.name,
+      login: user?.login,
+      user_id: user?.id,
+      reason: grant ? 'Grant revoked by client' : 'Token revoked by client'
+    });
+    
+    return new Response(JSON.stringify({
+      revoked: grant ? 'grant' : 'token'
+    }), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Handle /user-token/introspect endpoint
+// Tells a client whether a token is still good, who it belongs to and which
+// installations and repositories it can reach
+async function handleUserTokenIntrospect(request, env, body) {
+  const { access_token } = body;
+  
+  if (!access_token) {
+    return new Response(JSON.stringify({
+      error: 'access_token is required'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const clientId = env.GITHUB_CLIENT_ID;
+  
+  if (!clientId || !env.GITHUB_CLIENT_SECRET) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: 'Token introspection not configured on this server'
+    }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  try {
+    const checkResponse = await githubRequest(env, `/applications/${clientId}/token`, {
+      method: 'POST',
+      auth: appBasicAuth(env),
+      body: { access_token }
+    });
+    
+    // Unknown, revoked and expired tokens all come back as 404
+    if (checkResponse.status === 404 || checkResponse.status === 422) {
+      return new Response(JSON.stringify({
+        active: false
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    if (!checkResponse.ok) {
+      throw new Error(`GitHub returned ${checkResponse.status} while checking token`);
+    }
+    
+    const tokenInfo = await checkResponse.json();
+    const installations = await listTokenInstallations(env, access_token);
+    
+    return new Response(JSON.stringify({
+      active: true,
+      user: tokenInfo.user ? {
+        login: tokenInfo.user.login,
+        id: tokenInfo.user.id
+      } : null,
+      expires_at: tokenInfo.expires_at || null,
+      installations
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
       }
-      
-      return response;
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'server_error',
+      error_description: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// List the app installations a user token can reach, with the app permissions
+// on each and the repositories the user can access through it
+// Only the first 100 installations/repositories are listed
+async function listTokenInstallations(env, accessToken) {
+  const response = await githubRequest(env, '/user/installations?per_page=100', {
+    token: accessToken
+  });
+  
+  if (!response.ok) {
+    throw new Error(`GitHub returned ${response.status} while listing installations`);
+  }
+  
+  const data = await response.json();
+  
+  return await Promise.all((data.installations || []).map(async (installation) => {
+    const reposResponse = await githubRequest(env, `/user/installations/${installation.id}/repositories?per_page=100`, {
+      token: accessToken
+    });
+    const repos = reposResponse.ok ? await reposResponse.json() : { repositories: [] };
+    
+    return {
+      id: installation.id,
+      account: installation.account?.login,
+      repository_selection: installation.repository_selection,
+      permissions: installation.permissions,
+      repositories: (repos.repositories || []).map(repo => repo.full_name)
+    };
+  }));
+}
+
+// Build the token response body shared by /user-token/poll and /user-token/refresh
+function buildTokenPayload(data) {
+  // Calculate expiration
+  const expiresAt = new Date(Date.now() + (data.expires_in || 28800) * 1000).toISOString();
+  
+  const payload = {
+    access_token: data.access_token,
+    token_type: data.token_type || 'bearer',
+    expires_at: expiresAt,
+    scope: data.scope
+  };
+  
+  // Only apps with expiring user tokens get a refresh token
+  if (data.refresh_token) {
+    payload.refresh_token = data.refresh_token;
+    payload.refresh_token_expires_in = data.refresh_token_expires_in;
+  }
+  
+  return payload;
+}
+
+// Handle /oauth/device_authorization and /oauth/token
+// Off-the-shelf OAuth clients get the same flows as /user-token/*, with
+// form-encoded requests and spec-shaped responses (see oauth.js)
+async function handleOAuthRequest(request, env, url) {
+  if (request.method !== 'POST') {
+    return oauthError('invalid_request', 'OAuth endpoints only accept POST', 405);
+  }
+  
+  const params = await readOAuthParams(request);
+  
+  if (!params) {
+    return oauthError('invalid_request', 'Request body must be application/x-www-form-urlencoded');
+  }
+  
+  // Which broker endpoint does the work, and with what
+  let endpoint;
+  let brokerPath;
+  let body;
+  
+  if (url.pathname === '/oauth/device_authorization') {
+    endpoint = 'device_authorization';
+    brokerPath = '/user-token/start';
+    body = {};
+  } else if (url.pathname === '/oauth/token') {
+    const grantType = params.get('grant_type');
+    endpoint = 'token';
+    
+    if (grantType === DEVICE_CODE_GRANT) {
+      brokerPath = '/user-token/poll';
+      body = { device_code: params.get('device_code') };
+    } else if (grantType === 'refresh_token') {
+      brokerPath = '/user-token/refresh';
+      body = { refresh_token: params.get('refresh_token') };
+    } else if (!grantType) {
+      return oauthError('invalid_request', 'grant_type is required');
+    } else {
+      return oauthError('unsupported_grant_type', `Grant type ${grantType} is not supported`);
+    }
+  } else {
+    return new Response(JSON.stringify({
+      error: 'Not found'
+    }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  const limited = await enforceRateLimits(request, env, brokerPath, body);
+  if (limited) {
+    return toOAuthResponse(limited, endpoint);
+  }
+  
+  const auth = await authenticateClient(request, env, brokerPath, oauthClientCredentials(request, params));
+  if (auth.denied) {
+    return toOAuthResponse(auth.denied, endpoint);
+  }
+  
+  const handlers = {
+    '/user-token/start': handleUserTokenStart,
+    '/user-token/poll': handleUserTokenPoll,
+    '/user-token/refresh': handleUserTokenRefresh
+  };
+  
+  return toOAuthResponse(await handlers[brokerPath](request, env, body, auth.client), endpoint);
+}
+
+// Import web flow and admin handlers
+import webFlow from './worker-web.js';
+import admin from './admin.js';
+
+// Route a request to its handler
+async function routeRequest(request, env, ctx) {
+  // Requests for further apps from the GITHUB_APPS registry run with that app's
+  // credentials and KV prefixes
+  let app;
+  try {
+    app = selectApp(request, env);
+  } catch (error) {
+    log(env, 'error', 'App selection failed', errorFields(error));
+    return new Response(JSON.stringify({
+      error: 'Internal server error',
+      error_description: error.message
+    }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  if (app.error) {
+    return app.error;
+  }
+  ({ request, env } = app);
+  
+  const url = new URL(request.url);
+  
+  // Route web flow endpoints to web flow handler
+  if (url.pathname.startsWith('/auth/')) {
+    return webFlow.fetch(request, env, ctx);
+  }
+  
+  // Operator endpoints, authenticated with the admin key
+  if (url.pathname.startsWith('/admin/')) {
+    return admin.fetch(request, env, ctx);
+  }
+  
+  // RFC 8414 metadata, so generic OAuth tooling can find the endpoints below
+  if (request.method === 'GET' && url.pathname === '/.well-known/oauth-authorization-server') {
+    return new Response(JSON.stringify(authorizationServerMetadata(url.origin + appBasePath(env), env)), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  
+  if (url.pathname.startsWith('/oauth/')) {
+    try {
+      return await handleOAuthRequest(request, env, url);
     } catch (error) {
-      console.error('Request failed:', error);
+      log(env, 'error', 'OAuth request failed', errorFields(error));
+      return oauthError('server_error', 'Internal server error', 500);
+    }
+  }
+  
+  // Prometheus scrapes, authenticated with the metrics key
+  if (request.method === 'GET' && url.pathname === '/metrics') {
+    return handleMetrics(request, env);
+  }
+  
+  // Webhooks need the raw body for signature verification
+  if (request.method === 'POST' && url.pathname === '/webhooks/github') {
+    try {
+      return await handleGitHubWebhook(request, env);
+    } catch (error) {
+      // A 500 marks the delivery as failed on GitHub, where it can be redelivered
+      log(env, 'error', 'Webhook delivery failed', errorFields(error));
       return new Response(JSON.stringify({
         error: 'Internal server error'
       }), {
         status: 500,
-        headers: {
-          'Content-Type': 'application/json'
-        }
+        headers: { 'Content-Type': 'application/json' }
       });
     }
   }
-};
\ No newline at end of file
+  
+  // Allow GET for health check
+  if (request.method === 'GET' && (url.pathname === '/' || url.pathname === '/health')) {
+    let apps;
+    if (!env.BROKER_APP && env.GITHUB_APPS) {
+      try {
+        apps = listApps(env);
+      } catch (error) {
+        log(env, 'error', 'App listing failed', errorFields(error));
+        return new Response(JSON.stringify({
+          error: 'Internal server error',
+          error_description: error.message
+        }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    
+    return new Response(JSON.stringify({
+      status: 'healthy',
+      service: 'GitHub App Token Broker for ai-aligned-gh',
+      timestamp: new Date().toISOString(),
+      app: env.BROKER_APP?.slug,
+      apps,
+      endpoints: {
+        '/user-token/start': 'Start device flow (POST)',
+        '/user-token/poll': 'Poll device flow (POST)',
+        '/user-token/refresh': 'Refresh user token (POST)',
+        '/user-token/revoke': 'Revoke user token or grant (POST)',
+        '/user-token/introspect': 'Inspect user token (POST)',
+        '/session/token': 'Get access token for vault session (POST)',
+        '/session/logout': 'End vault session (POST)',
+        ...(env.ENABLE_INSTALLATION_TOKENS === 'true' && {
+          '/token': 'Installation token for allowlisted repos (POST, opt-in)'
+        }),
+        '/oauth/device_authorization': 'RFC 8628 device authorization (POST, form-encoded)',
+        '/oauth/token': 'RFC 6749 token endpoint: device_code and refresh_token grants (POST, form-encoded)',
+        '/.well-known/oauth-authorization-server': 'RFC 8414 authorization server metadata (GET)',
+        '/auth/start': 'Start web flow (POST)',
+        '/auth/callback': 'OAuth callback (GET)',
+        '/auth/poll': 'Poll web flow (POST)',
+        '/webhooks/github': 'GitHub App webhook receiver (POST)',
+        ...(env.METRICS_API_KEY_SHA256 && {
+          '/metrics': 'Prometheus metrics (GET, metrics key)'
+        }),
+        ...(env.ADMIN_API_KEY_SHA256 && {
+          '/admin/audit': 'Query the audit log (GET, admin)',
+          '/admin/pending': 'List pending device codes and web flow states (GET, admin)',
+          '/admin/users/{login}/tokens': 'List sessions and tokens issued to a user (GET, admin)',
+          '/admin/users/{login}/revoke': 'Revoke all grants of a user (POST, admin)'
+        })
+      }
+    }), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+  
+  // Only allow POST for other endpoints
+  if (request.method !== 'POST') {
+    return new Response(JSON.stringify({
+      error: 'Method not allowed'
+    }), {
+      status: 405,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+  
+  // Parse request body
+  let body;
+  
+  try {
+    const rawBody = await request.text();
+    body = rawBody ? JSON.parse(rawBody) : {};
+  } catch (error) {
+    return new Response(JSON.stringify({
+      error: 'Invalid request body'
+    }), {
+      status: 400,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+  
+  // Route requests
+  try {
+    let response;
+    
+    const limited = await enforceRateLimits(request, env, url.pathname, body);
+    if (limited) {
+      return limited;
+    }
+    
+    // Registered clients only, when a client registry is configured
+    let client = null;
+    if (url.pathname.startsWith('/user-token/') || url.pathname.startsWith('/session/')) {
+      const auth = await authenticateClient(request, env, url.pathname);
+      if (auth.denied) {
+        return auth.denied;
+      }
+      client = auth.client;
+    }
+    
+    switch (url.pathname) {
+      case '/user-token/start':
+        response = await handleUserTokenStart(request, env, body, client);
+        break;
+      
+      case '/user-token/poll':
+        response = await handleUserTokenPoll(request, env, body, client);
+        break;
+      
+      case '/user-token/refresh':
+        response = await handleUserTokenRefresh(request, env, body, client);
+        break;
+      
+      case '/user-token/revoke':
+        response = await handleUserTokenRevoke(request, env, body, client);
+        break;
+      
+      case '/user-token/introspect':
+        response = await handleUserTokenIntrospect(request, env, body);
+        break;
+      
+      case '/session/token':
+        response = await handleSessionToken(request, env, body);
+        break;
+      
+      case '/session/logout':
+        response = await handleSessionLogout(request, env, body);
+        break;
+      
+      case '/token':
+        response = await handleInstallationToken(request, env, body);
+        break;
+      
+      default:
+        response = new Response(JSON.stringify({
+          error: 'Not found'
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+    }
+    
+    return response;
+  } catch (error) {
+    log(env, 'error', 'Request failed', errorFields(error));
+    return new Response(JSON.stringify({
+      error: 'Internal server error'
+    }), {
+      status: 500,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+}
+
+// Main request handler
+export default {
+  async fetch(request, env, ctx) {
+    const started = Date.now();
+    env = { ...env, REQUEST_ID: requestIdFor(request) };
+    
+    // Browsers ask before cross-origin POSTs with JSON bodies or API keys
+    const response = request.method === 'OPTIONS'
+      ? handlePreflight(request, env)
+      : withCors(request, env, await routeRequest(request, env, ctx));
+    
+    return finishRequest(request, env, response, started);
+  }
+};
+
+// Tag the response with the request ID, then log and count the request
+function finishRequest(request, env, response, started) {
+  const seconds = (Date.now() - started) / 1000;
+  const route = routeLabel(new URL(request.url).pathname);
+  
+  response.headers.set('X-Request-ID', env.REQUEST_ID);
+  
+  incrementCounter(env, 'broker_requests_total', {
+    route,
+    method: request.method,
+    status: String(response.status)
+  });
+  observeHistogram(env, 'broker_request_duration_seconds', { route }, seconds);
+  
+  // Only the path: query strings can carry codes and states
+  log(env, response.status >= 500 ? 'error' : 'info', 'request', {
+    method: request.method,
+    path: new URL(request.url).pathname,
+    route,
+    status: response.status,
+    duration_ms: Date.now() - started
+  });
+  
+  return response;
+}
\ No newline at end of file
@@ -10,8 +10,8 @@ if (!global.crypto) {
     configurable: true
   });
 }
-global.btoa = (str) => Buffer.from(str).toString('base64');
-global.atob = (str) => Buffer.from(str, 'base64').toString('ascii');
+global.btoa = (str) => Buffer.from(str, 'latin1').toString('base64');
+global.atob = (str) => Buffer.from(str, 'base64').toString('latin1');
 global.TextEncoder = TextEncoder;
 global.TextDecoder = TextDecoder;
 global.URL = URL;
@@ -64,7 +64,11 @@ global.Request = class Request {
     this.url = url;
     this.method = init.method || 'GET';
     this.headers = new Map();
-    if (init.headers) {
+    if (init.headers instanceof Map) {
+      for (const [k, v] of init.headers) {
+        this.headers.set(k, v);
+      }
+    } else if (init.headers) {
       Object.entries(init.headers).forEach(([k, v]) => {
         this.headers.set(k, v);
       });
@@ -77,6 +81,10 @@ global.Request = class Request {
 
 // Import worker after setting up globals
 const workerModule = await import('./worker.js');
+const { signJWT, verifyJWT } = await import('./jwt-simple.js');
+
+// The worker logs every request as a JSON line; keep them out of the test output
+mock.method(console, 'log', () => {});
 
 // Mock createAppJWT to avoid crypto issues in Node tests
 const originalFetch = workerModule.default.fetch;
@@ -124,6 +132,44 @@ BX8zDWMx0mMGCdVbTKrwOzrJqCmHBTH7xuFg3KcVX3XJpXVpEfEd8wjVDB5b6dy7
 k/s1nVBxNlD8sWfs+Ry3vzE=
 -----END PRIVATE KEY-----`;
 
+// In-memory stand-in for a KV namespace
+function memoryKV() {
+  const store = new Map();
+  const metadata = new Map();
+  return {
+    store,
+    get: mock.fn(async (key, type) => {
+      const value = store.has(key) ? store.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    }),
+    put: mock.fn(async (key, value, options) => {
+      store.set(key, value);
+      metadata.set(key, options?.metadata);
+    }),
+    delete: mock.fn(async (key) => { store.delete(key); }),
+    list: mock.fn(async ({ prefix = '' } = {}) => ({
+      keys: [...store.keys()].filter(key => key.startsWith(prefix)).sort()
+        .map(name => ({ name, metadata: metadata.get(name) })),
+      list_complete: true
+    }))
+  };
+}
+
+// Build a signed GitHub webhook delivery
+function webhookRequest(event, payload, secret = 'webhook-secret') {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return new Request('https://example.com/webhooks/github', {
+    method: 'POST',
+    headers: {
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': crypto.randomUUID(),
+      'X-Hub-Signature-256': `sha256=${signature}`
+    },
+    body
+  });
+}
+
 describe('Worker Tests', () => {
   let env;
   let ctx;
@@ -336,4 +382,2209 @@ describe('Worker Tests', () => {
     assert.ok(data.scope);
   });
   
+  test('/user-token/poll passes through refresh token', async () => {
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({
+      access_token: 'ghu_usertoken456',
+      token_type: 'bearer',
+      expires_in: 28800,
+      refresh_token: 'ghr_refresh789',
+      refresh_token_expires_in: 15897600
+    })));
+    
+    const request = new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123' })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 200);
+    
+    const data = await response.json();
+    assert.equal(data.refresh_token, 'ghr_refresh789');
+    assert.equal(data.refresh_token_expires_in, 15897600);
+  });
+  
+  test('/user-token/refresh endpoint', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    global.fetch = mock.fn(async (url, options) => {
+      const params = new URLSearchParams(options.body);
+      assert.equal(params.get('grant_type'), 'refresh_token');
+      assert.equal(params.get('refresh_token'), 'ghr_refresh789');
+      assert.equal(params.get('client_secret'), 'secret123');
+      return new Response(JSON.stringify({
+        access_token: 'ghu_newtoken',
+        token_type: 'bearer',
+        expires_in: 28800,
+        refresh_token: 'ghr_newrefresh',
+        refresh_token_expires_in: 15897600
+      }));
+    });
+    
+    const request = new Request('https://example.com/user-token/refresh', {
+      method: 'POST',
+      body: JSON.stringify({ refresh_token: 'ghr_refresh789' })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 200);
+    
+    const data = await response.json();
+    assert.equal(data.access_token, 'ghu_newtoken');
+    assert.equal(data.refresh_token, 'ghr_newrefresh');
+    assert.ok(data.expires_at);
+  });
+  
+  test('/user-token/refresh rejects bad refresh token', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({
+      error: 'bad_refresh_token',
+      error_description: 'The refresh token passed is incorrect or expired.'
+    })));
+    
+    const request = new Request('https://example.com/user-token/refresh', {
+      method: 'POST',
+      body: JSON.stringify({ refresh_token: 'ghr_stale' })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 400);
+    
+    const data = await response.json();
+    assert.equal(data.error, 'bad_refresh_token');
+  });
+  
+  test('/user-token/revoke deletes a single token', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    global.fetch = mock.fn(async () => new Response(null, { status: 204 }));
+    
+    const request = new Request('https://example.com/user-token/revoke', {
+      method: 'POST',
+      body: JSON.stringify({ access_token: 'ghu_usertoken456' })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { revoked: 'token' });
+    
+    const [url, options] = global.fetch.mock.calls[0].arguments;
+    assert.equal(url, 'https://api.github.com/applications/Iv1.abc123def456/token');
+    assert.equal(options.method, 'DELETE');
+    assert.equal(options.headers['Authorization'], `Basic ${btoa('Iv1.abc123def456:secret123')}`);
+    assert.deepEqual(JSON.parse(options.body), { access_token: 'ghu_usertoken456' });
+  });
+  
+  test('/user-token/revoke deletes the whole grant', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    global.fetch = mock.fn(async () => new Response(null, { status: 204 }));
+    
+    const request = new Request('https://example.com/user-token/revoke', {
+      method: 'POST',
+      body: JSON.stringify({ access_token: 'ghu_usertoken456', grant: true })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { revoked: 'grant' });
+    assert.equal(global.fetch.mock.calls[0].arguments[0], 'https://api.github.com/applications/Iv1.abc123def456/grant');
+  });
+  
+  test('/user-token/revoke reports unknown tokens', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    global.fetch = mock.fn(async () => new Response('Not found', { status: 404 }));
+    
+    const request = new Request('https://example.com/user-token/revoke', {
+      method: 'POST',
+      body: JSON.stringify({ access_token: 'ghu_gone' })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'invalid_token');
+  });
+  
+  test('/user-token/introspect returns user and installations', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.endsWith('/applications/Iv1.abc123def456/token')) {
+        assert.equal(options.method, 'POST');
+        return new Response(JSON.stringify({
+          expires_at: '2026-10-20T03:00:00Z',
+          user: { login: 'testuser', id: 12345 }
+        }));
+      }
+      if (url.includes('/user/installations/789/repositories')) {
+        return new Response(JSON.stringify({
+          repositories: [{ full_name: 'octocat/hello-world' }]
+        }));
+      }
+      if (url.includes('/user/installations')) {
+        assert.equal(options.headers['Authorization'], 'Bearer ghu_usertoken456');
+        return new Response(JSON.stringify({
+          installations: [{
+            id: 789,
+            account: { login: 'octocat' },
+            repository_selection: 'selected',
+            permissions: { contents: 'write', pull_requests: 'write' }
+          }]
+        }));
+      }
+      return new Response('Not found', { status: 404 });
+    });
+    
+    const request = new Request('https://example.com/user-token/introspect', {
+      method: 'POST',
+      body: JSON.stringify({ access_token: 'ghu_usertoken456' })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 200);
+    
+    const data = await response.json();
+    assert.equal(data.active, true);
+    assert.deepEqual(data.user, { login: 'testuser', id: 12345 });
+    assert.equal(data.expires_at, '2026-10-20T03:00:00Z');
+    assert.deepEqual(data.installations, [{
+      id: 789,
+      account: 'octocat',
+      repository_selection: 'selected',
+      permissions: { contents: 'write', pull_requests: 'write' },
+      repositories: ['octocat/hello-world']
+    }]);
+  });
+  
+  test('/user-token/introspect reports inactive tokens', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    global.fetch = mock.fn(async () => new Response('Not found', { status: 404 }));
+    
+    const request = new Request('https://example.com/user-token/introspect', {
+      method: 'POST',
+      body: JSON.stringify({ access_token: 'ghu_gone' })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { active: false });
+  });
+  
+  test('/user-token/start stores requested repository scope', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    
+    const request = new Request('https://example.com/user-token/start', {
+      method: 'POST',
+      body: JSON.stringify({
+        repositories: ['octocat/hello-world'],
+        permissions: { contents: 'write' }
+      })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 200);
+    
+    const stored = JSON.parse(env.DEVICE_CODES.put.mock.calls[0].arguments[1]);
+    assert.deepEqual(stored.scope_request, {
+      target: 'octocat',
+      repositories: ['hello-world'],
+      permissions: { contents: 'write' }
+    });
+  });
+  
+  test('/user-token/start rejects malformed scope', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    
+    const request = new Request('https://example.com/user-token/start', {
+      method: 'POST',
+      body: JSON.stringify({
+        repositories: ['octocat/hello-world', 'other/repo']
+      })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'invalid_scope');
+  });
+  
+  test('/user-token/poll narrows token to requested scope', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now(),
+      scope_request: {
+        target: 'octocat',
+        repositories: ['hello-world'],
+        permissions: { contents: 'write' }
+      }
+    }));
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.includes('/login/oauth/access_token')) {
+        return new Response(JSON.stringify({
+          access_token: 'ghu_fulltoken',
+          token_type: 'bearer',
+          expires_in: 28800,
+          refresh_token: 'ghr_refresh789'
+        }));
+      }
+      if (url.endsWith('/applications/Iv1.abc123def456/token/scoped')) {
+        assert.deepEqual(JSON.parse(options.body), {
+          access_token: 'ghu_fulltoken',
+          target: 'octocat',
+          repositories: ['hello-world'],
+          permissions: { contents: 'write' }
+        });
+        return new Response(JSON.stringify({
+          token: 'ghu_scopedtoken',
+          expires_at: '2026-10-20T03:00:00Z',
+          installation: {
+            account: { login: 'octocat' },
+            repository_selection: 'selected',
+            permissions: { contents: 'write', metadata: 'read' }
+          }
+        }));
+      }
+      if (url.endsWith('/user/repos?per_page=100')) {
+        assert.equal(options.headers['Authorization'], 'Bearer ghu_scopedtoken');
+        return new Response(JSON.stringify([{ full_name: 'octocat/hello-world' }]));
+      }
+      if (url.endsWith('/applications/Iv1.abc123def456/token')) {
+        return new Response(null, { status: 204 });
+      }
+      return new Response('Not found', { status: 404 });
+    });
+    
+    const poll = () => worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123' })
+    }), env, ctx);
+    const revocations = () => global.fetch.mock.calls
+      .filter(call => call.arguments[1]?.method === 'DELETE')
+      .map(call => JSON.parse(call.arguments[1].body).access_token);
+    
+    const response = await poll();
+    assert.equal(response.status, 200);
+    
+    // The scope is what GitHub granted, including the metadata permission it adds
+    const data = await response.json();
+    assert.equal(data.access_token, 'ghu_scopedtoken');
+    assert.equal(data.expires_at, '2026-10-20T03:00:00Z');
+    assert.equal(data.refresh_token, undefined);
+    assert.deepEqual(data.granted_scope, {
+      target: 'octocat',
+      repository_selection: 'selected',
+      repositories: ['octocat/hello-world'],
+      permissions: { contents: 'write', metadata: 'read' }
+    });
+    
+    // The full-privilege token does not outlive the exchange
+    assert.deepEqual(revocations(), ['ghu_fulltoken']);
+    
+    // ...nor a failed one
+    const fetchGitHub = global.fetch;
+    global.fetch = mock.fn(async (url, options) => (url.endsWith('/token/scoped')
+      ? new Response(JSON.stringify({ message: 'Repository not accessible' }), { status: 422 })
+      : fetchGitHub(url, options)));
+    
+    const refused = await poll();
+    assert.equal(refused.status, 400);
+    assert.equal((await refused.json()).error, 'invalid_scope');
+    assert.deepEqual(revocations(), ['ghu_fulltoken']);
+  });
+  
+  test('/user-token/poll with session vaults the token pair', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.TOKEN_VAULT = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({
+      access_token: 'ghu_usertoken456',
+      token_type: 'bearer',
+      expires_in: 28800,
+      refresh_token: 'ghr_refresh789',
+      refresh_token_expires_in: 15897600
+    })));
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123', session: true })
+    }), env, ctx);
+    assert.equal(pollResponse.status, 200);
+    
+    const pollData = await pollResponse.json();
+    assert.match(pollData.session, /^bsh_[0-9a-f]{64}$/);
+    assert.ok(pollData.session_expires_at);
+    assert.equal(pollData.access_token, undefined);
+    assert.equal(pollData.refresh_token, undefined);
+    
+    // The vault is keyed by a hash, never by the handle itself
+    const [key] = env.TOKEN_VAULT.store.keys();
+    assert.ok(!key.includes(pollData.session));
+    
+    const tokenResponse = await worker.default.fetch(new Request('https://example.com/session/token', {
+      method: 'POST',
+      body: JSON.stringify({ session: pollData.session })
+    }), env, ctx);
+    assert.equal(tokenResponse.status, 200);
+    assert.equal((await tokenResponse.json()).access_token, 'ghu_usertoken456');
+  });
+  
+  test('/session/token refreshes an expiring token', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.TOKEN_VAULT = memoryKV();
+    env.AUDIT_LOG = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({
+      access_token: 'ghu_almostexpired',
+      expires_in: 60,
+      refresh_token: 'ghr_refresh789',
+      refresh_token_expires_in: 3600
+    })));
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123', session: true })
+    }), env, ctx);
+    const { session } = await pollResponse.json();
+    
+    global.fetch = mock.fn(async (url, options) => {
+      assert.equal(new URLSearchParams(options.body).get('refresh_token'), 'ghr_refresh789');
+      return new Response(JSON.stringify({
+        access_token: 'ghu_fresh',
+        expires_in: 28800,
+        refresh_token: 'ghr_next',
+        refresh_token_expires_in: 15897600
+      }));
+    });
+    
+    const tokenResponse = await worker.default.fetch(new Request('https://example.com/session/token', {
+      method: 'POST',
+      body: JSON.stringify({ session })
+    }), env, ctx);
+    assert.equal(tokenResponse.status, 200);
+    assert.equal((await tokenResponse.json()).access_token, 'ghu_fresh');
+    
+    // The new refresh token's deadline carries the session past the first one's
+    const record = JSON.parse([...env.TOKEN_VAULT.store.values()][0]);
+    const day = 24 * 3600 * 1000;
+    assert.equal(record.refresh_token, 'ghr_next');
+    assert.ok(Date.parse(record.refresh_token_expires_at) > Date.now() + 180 * day);
+    assert.ok(Date.parse(record.session_expires_at) > Date.now() + 29 * day);
+    
+    const events = [...env.AUDIT_LOG.store.values()].map(value => JSON.parse(value));
+    assert.deepEqual(events.map(event => [event.event, event.flow]), [['flow.completed', 'device'], ['token.refreshed', 'session']]);
+  });
+  
+  test('/session/token keeps the session when a concurrent refresh won', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.TOKEN_VAULT = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({
+      access_token: 'ghu_almostexpired',
+      expires_in: 60,
+      refresh_token: 'ghr_refresh789',
+      refresh_token_expires_in: 15897600
+    })));
+    
+    const { session } = await (await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123', session: true })
+    }), env, ctx)).json();
+    
+    // GitHub honors the refresh token once
+    let refreshes = 0;
+    global.fetch = mock.fn(async () => new Response(JSON.stringify(refreshes++ === 0 ? {
+      access_token: 'ghu_fresh',
+      expires_in: 28800,
+      refresh_token: 'ghr_next',
+      refresh_token_expires_in: 15897600
+    } : {
+      error: 'bad_refresh_token',
+      error_description: 'The refresh token passed is incorrect or expired.'
+    })));
+    
+    const sessionToken = () => worker.default.fetch(new Request('https://example.com/session/token', {
+      method: 'POST',
+      body: JSON.stringify({ session })
+    }), env, ctx);
+    const responses = await Promise.all([sessionToken(), sessionToken()]);
+    
+    assert.equal(refreshes, 2);
+    for (const response of responses) {
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).access_token, 'ghu_fresh');
+    }
+    assert.equal((await sessionToken()).status, 200);
+  });
+  
+  test('/session/logout ends the session', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.TOKEN_VAULT = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123', session: true })
+    }), env, ctx);
+    const { session } = await pollResponse.json();
+    
+    global.fetch = mock.fn(async () => new Response(null, { status: 204 }));
+    
+    const logoutResponse = await worker.default.fetch(new Request('https://example.com/session/logout', {
+      method: 'POST',
+      body: JSON.stringify({ session })
+    }), env, ctx);
+    assert.equal(logoutResponse.status, 200);
+    assert.equal(env.TOKEN_VAULT.store.size, 0);
+    assert.equal(global.fetch.mock.calls[0].arguments[1].method, 'DELETE');
+    
+    const tokenResponse = await worker.default.fetch(new Request('https://example.com/session/token', {
+      method: 'POST',
+      body: JSON.stringify({ session })
+    }), env, ctx);
+    assert.equal(tokenResponse.status, 401);
+    assert.equal((await tokenResponse.json()).error, 'invalid_session');
+  });
+  
+  test('web flow stores tokens encrypted in AUTH_STATES', async () => {
+    const oldKey = Buffer.alloc(32, 1).toString('base64');
+    const newKey = Buffer.alloc(32, 2).toString('base64');
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    env.KV_ENCRYPTION_KEYS = `k1:${oldKey}`;
+    
+    const startResponse = await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST'
+    }), env, ctx);
+    const { state, poll_secret } = await startResponse.json();
+    
+    const callbackResponse = await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?code=code123&state=${state}`
+    ), env, ctx);
+    assert.equal(callbackResponse.status, 200);
+    
+    const stored = env.AUTH_STATES.store.get(state);
+    assert.ok(!stored.includes('ghu_usertoken456'));
+    assert.equal(JSON.parse(stored).kid, 'k1');
+    
+    // Rotate: new records use k2, in-flight k1 records stay readable
+    env.KV_ENCRYPTION_KEYS = `k2:${newKey},k1:${oldKey}`;
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state, poll_secret })
+    }), env, ctx);
+    assert.equal(pollResponse.status, 200);
+    assert.equal((await pollResponse.json()).access_token, 'ghu_usertoken456');
+  });
+  
+  test('encrypted records cannot be moved to another key', async () => {
+    env.KV_ENCRYPTION_KEYS = `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+    env.DEVICE_CODES = memoryKV();
+    
+    await worker.default.fetch(new Request('https://example.com/user-token/start', {
+      method: 'POST',
+      body: '{}'
+    }), env, ctx);
+    
+    // Copy the sealed record for device_abc123 under another device code
+    env.DEVICE_CODES.store.set('device_other', env.DEVICE_CODES.store.get('device_abc123'));
+    
+    const response = await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_other' })
+    }), env, ctx);
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, 'expired_token');
+  });
+  
+  test('web flow uses PKCE and requires the poll secret', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    
+    const startResponse = await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST'
+    }), env, ctx);
+    const { auth_url, state, poll_secret } = await startResponse.json();
+    assert.match(poll_secret, /^[0-9a-f]{64}$/);
+    
+    const authParams = new URL(auth_url).searchParams;
+    assert.equal(authParams.get('code_challenge_method'), 'S256');
+    const codeChallenge = authParams.get('code_challenge');
+    
+    await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?code=code123&state=${state}`
+    ), env, ctx);
+    
+    // The verifier sent on exchange must hash to the challenge sent on authorize
+    const exchange = new URLSearchParams(global.fetch.mock.calls[0].arguments[1].body);
+    const expected = crypto.createHash('sha256').update(exchange.get('code_verifier')).digest('base64url');
+    assert.equal(codeChallenge, expected);
+    
+    // Someone who only saw the state in a URL cannot collect the token
+    const stolenResponse = await worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state, poll_secret: 'guess' })
+    }), env, ctx);
+    assert.equal(stolenResponse.status, 401);
+    assert.equal((await stolenResponse.json()).error, 'invalid_poll_secret');
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state, poll_secret })
+    }), env, ctx);
+    assert.equal(pollResponse.status, 200);
+  });
+  
+  test('web flow callbacks cannot replace a completed authorization', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    
+    const { state, poll_secret } = await (await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST'
+    }), env, ctx)).json();
+    const callback = (query) => worker.default.fetch(new Request(`https://example.com/auth/callback?${query}`), env, ctx);
+    
+    assert.equal((await callback(`code=code123&state=${state}`)).status, 200);
+    
+    // Someone who saw the state sends their own code, or an error, before the CLI polls
+    const replayed = await callback(`code=attacker_code&state=${state}`);
+    assert.equal(replayed.status, 400);
+    assert.match(await replayed.text(), /already been completed/);
+    assert.equal((await callback(`error=access_denied&state=${state}`)).status, 400);
+    assert.equal(global.fetch.mock.callCount(), 1);
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state, poll_secret })
+    }), env, ctx);
+    assert.equal(pollResponse.status, 200);
+    assert.equal((await pollResponse.json()).access_token, 'ghu_usertoken456');
+  });
+  
+  test('web flow reports GitHub outages during the code exchange', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    
+    for (const outage of [
+      new Response('Service Unavailable', { status: 503 }),
+      new Response('<html>Unicorn!</html>', { status: 200 })
+    ]) {
+      global.fetch = mock.fn(async () => outage);
+      const { state, poll_secret } = await (await worker.default.fetch(new Request('https://example.com/auth/start', {
+        method: 'POST'
+      }), env, ctx)).json();
+      
+      const callbackResponse = await worker.default.fetch(new Request(
+        `https://example.com/auth/callback?code=code123&state=${state}`
+      ), env, ctx);
+      assert.equal(callbackResponse.status, 502);
+      assert.match(await callbackResponse.text(), /GitHub Unavailable/);
+      
+      const pollResponse = await worker.default.fetch(new Request('https://example.com/auth/poll', {
+        method: 'POST',
+        body: JSON.stringify({ state, poll_secret })
+      }), env, ctx);
+      assert.equal(pollResponse.status, 400);
+      assert.equal((await pollResponse.json()).error, 'temporarily_unavailable');
+    }
+  });
+  
+  test('/token is disabled by default', async () => {
+    const request = new Request('https://example.com/token', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer valid_github_token' },
+      body: JSON.stringify({ owner: 'octocat', repo: 'hello-world' })
+    });
+    
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 404);
+  });
+  
+  test('/token requires a valid user token', async () => {
+    env.ENABLE_INSTALLATION_TOKENS = 'true';
+    env.INSTALLATION_TOKEN_REPOS = 'octocat/hello-world';
+    
+    const missing = await worker.default.fetch(new Request('https://example.com/token', {
+      method: 'POST',
+      body: JSON.stringify({ owner: 'octocat', repo: 'hello-world' })
+    }), env, ctx);
+    assert.equal(missing.status, 401);
+    
+    const invalid = await worker.default.fetch(new Request('https://example.com/token', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer invalid_token_12345' },
+      body: JSON.stringify({ owner: 'octocat', repo: 'hello-world' })
+    }), env, ctx);
+    assert.equal(invalid.status, 401);
+  });
+  
+  test('/token enforces the repository allowlist', async () => {
+    env.ENABLE_INSTALLATION_TOKENS = 'true';
+    env.INSTALLATION_TOKEN_REPOS = 'octocat/other-repo';
+    
+    const response = await worker.default.fetch(new Request('https://example.com/token', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer valid_github_token' },
+      body: JSON.stringify({ owner: 'octocat', repo: 'hello-world' })
+    }), env, ctx);
+    assert.equal(response.status, 403);
+  });
+  
+  test('/token checks user access against requested permissions', async () => {
+    env.ENABLE_INSTALLATION_TOKENS = 'true';
+    env.INSTALLATION_TOKEN_REPOS = 'octocat/*';
+    
+    const request = (permissions) => worker.default.fetch(new Request('https://example.com/token', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer valid_github_token' },
+      body: JSON.stringify({ owner: 'octocat', repo: 'hello-world', permissions })
+    }), env, ctx);
+    
+    // The mocked user only has write access
+    const response = await request({ administration: 'admin' });
+    assert.equal(response.status, 403);
+    
+    // Write access to settings, secrets and environments takes admin
+    for (const name of ['administration', 'secrets', 'environments']) {
+      const denied = await request({ contents: 'read', [name]: 'write' });
+      assert.equal(denied.status, 403);
+      assert.match((await denied.json()).error_description, /needs admin access/);
+    }
+    
+    // Organization permissions are never handed out
+    const orgScoped = await request({ members: 'read', organization_administration: 'write' });
+    assert.equal(orgScoped.status, 400);
+    assert.equal((await orgScoped.json()).error_description, 'Installation tokens cannot carry members, organization_administration');
+    
+    assert.equal((await request({ contents: 'write', pull_requests: 'write' })).status, 201);
+    assert.equal(global.fetch.mock.calls.filter(call => call.arguments[0].endsWith('/access_tokens')).length, 1);
+  });
+  
+  test('/token mints a repo-scoped installation token', async () => {
+    env.ENABLE_INSTALLATION_TOKENS = 'true';
+    env.INSTALLATION_TOKEN_REPOS = 'octocat/hello-world';
+    
+    // The installation's organization permissions stay out of the token
+    const githubMock = global.fetch;
+    global.fetch = mock.fn(async (url, options) => (url.endsWith('/app/installations/789')
+      ? new Response(JSON.stringify({ permissions: { contents: 'read', metadata: 'read', members: 'read' } }))
+      : githubMock(url, options)));
+    
+    const response = await worker.default.fetch(new Request('https://example.com/token', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer valid_github_token' },
+      body: JSON.stringify({ owner: 'octocat', repo: 'hello-world' })
+    }), env, ctx);
+    assert.equal(response.status, 201);
+    
+    const data = await response.json();
+    assert.equal(data.token, 'ghs_mocktoken123');
+    assert.equal(data.repository, 'octocat/hello-world');
+    assert.equal(data.requested_by, 'testuser');
+    
+    const tokenCall = global.fetch.mock.calls.find(call => call.arguments[0].endsWith('/access_tokens'));
+    assert.match(tokenCall.arguments[1].headers['Authorization'], /^Bearer ey/);
+    assert.deepEqual(JSON.parse(tokenCall.arguments[1].body), {
+      repositories: ['hello-world'],
+      permissions: { contents: 'read', metadata: 'read' }
+    });
+  });
+  
+  test('/token reuses the cached app JWT', async () => {
+    env.ENABLE_INSTALLATION_TOKENS = 'true';
+    env.INSTALLATION_TOKEN_REPOS = 'octocat/hello-world';
+    
+    for (let i = 0; i < 2; i++) {
+      const response = await worker.default.fetch(new Request('https://example.com/token', {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer valid_github_token' },
+        body: JSON.stringify({ owner: 'octocat', repo: 'hello-world' })
+      }), env, ctx);
+      assert.equal(response.status, 201);
+    }
+    
+    const appJWTs = new Set(global.fetch.mock.calls
+      .filter(call => call.arguments[0].includes('/installation'))
+      .map(call => call.arguments[1].headers['Authorization']));
+    assert.equal(appJWTs.size, 1);
+  });
+  
+  test('/token falls back to the next private key during rotation', async () => {
+    const rotatedOut = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const next = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    env.ENABLE_INSTALLATION_TOKENS = 'true';
+    env.INSTALLATION_TOKEN_REPOS = 'octocat/hello-world';
+    env.GITHUB_APP_PRIVATE_KEY = rotatedOut.privateKey.export({ type: 'pkcs1', format: 'pem' });
+    env.GITHUB_APP_PRIVATE_KEY_NEXT = next.privateKey.export({ type: 'pkcs8', format: 'pem' });
+    
+    // GitHub only knows the next key any more
+    const defaultFetch = global.fetch;
+    global.fetch = mock.fn(async (url, options) => {
+      const auth = options?.headers?.['Authorization'] || '';
+      if (auth.startsWith('Bearer ey')) {
+        const [header, payload, signature] = auth.slice(7).split('.');
+        const valid = crypto.verify('sha256', Buffer.from(`${header}.${payload}`), next.publicKey, Buffer.from(signature, 'base64url'));
+        if (!valid) {
+          return new Response('Bad credentials', { status: 401 });
+        }
+      }
+      return defaultFetch(url, options);
+    });
+    
+    const response = await worker.default.fetch(new Request('https://example.com/token', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer valid_github_token' },
+      body: JSON.stringify({ owner: 'octocat', repo: 'hello-world' })
+    }), env, ctx);
+    assert.equal(response.status, 201);
+    
+    // Once the next key worked, it is tried first
+    const rejected = global.fetch.mock.calls.length;
+    await worker.default.fetch(new Request('https://example.com/token', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer valid_github_token' },
+      body: JSON.stringify({ owner: 'octocat', repo: 'hello-world' })
+    }), env, ctx);
+    assert.equal(global.fetch.mock.calls.length - rejected, rejected - 1);
+  });
+  
+  test('/webhooks/github rejects bad signatures', async () => {
+    env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+    
+    const request = webhookRequest('github_app_authorization', { action: 'revoked' }, 'wrong-secret');
+    const response = await worker.default.fetch(request, env, ctx);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error, 'invalid_signature');
+  });
+  
+  test('/webhooks/github purges vault sessions when a user revokes the app', async () => {
+    env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.TOKEN_VAULT = memoryKV();
+    env.WEBHOOK_EVENTS = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async (url) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_usertoken456',
+        expires_in: 28800
+      }));
+    });
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123', session: true })
+    }), env, ctx);
+    const { session } = await pollResponse.json();
+    
+    const webhookResponse = await worker.default.fetch(webhookRequest('github_app_authorization', {
+      action: 'revoked',
+      sender: { login: 'testuser', id: 12345 }
+    }), env, ctx);
+    assert.equal(webhookResponse.status, 200);
+    assert.deepEqual((await webhookResponse.json()).purged, { sessions: 1, states: 0 });
+    assert.equal(env.TOKEN_VAULT.store.size, 0);
+    
+    const tokenResponse = await worker.default.fetch(new Request('https://example.com/session/token', {
+      method: 'POST',
+      body: JSON.stringify({ session })
+    }), env, ctx);
+    assert.equal(tokenResponse.status, 401);
+    
+    const [event] = [...env.WEBHOOK_EVENTS.store.values()].map(value => JSON.parse(value));
+    assert.equal(event.event, 'github_app_authorization');
+    assert.deepEqual(event.sender, { login: 'testuser', id: 12345 });
+  });
+  
+  test('/webhooks/github drops state of deleted installations', async () => {
+    env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+    env.AUTH_STATES = memoryKV();
+    await env.AUTH_STATES.put('state-linked', JSON.stringify({ status: 'completed' }), { metadata: { installation_id: '789' } });
+    await env.AUTH_STATES.put('state-other', JSON.stringify({ status: 'pending' }));
+    // Another app's state, kept in the same namespace under its prefix
+    await env.AUTH_STATES.put('app:reviewer-bot:state-linked', JSON.stringify({ status: 'completed' }), { metadata: { installation_id: '789' } });
+    
+    const response = await worker.default.fetch(webhookRequest('installation', {
+      action: 'deleted',
+      installation: { id: 789, account: { login: 'octocat' } },
+      sender: { login: 'octocat', id: 1 }
+    }), env, ctx);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).purged.states, 1);
+    assert.equal(env.AUTH_STATES.store.has('state-linked'), false);
+    assert.equal(env.AUTH_STATES.store.has('state-other'), true);
+    assert.equal(env.AUTH_STATES.store.has('app:reviewer-bot:state-linked'), true);
+  });
+  
+  test('/webhooks/github answers 500 when KV fails', async () => {
+    env.GITHUB_WEBHOOK_SECRET = 'webhook-secret';
+    env.AUTH_STATES = memoryKV();
+    env.AUTH_STATES.list = mock.fn(async () => {
+      throw new Error('KV list failed');
+    });
+    
+    const response = await worker.default.fetch(webhookRequest('installation', {
+      action: 'deleted',
+      installation: { id: 789, account: { login: 'octocat' } },
+      sender: { login: 'octocat', id: 1 }
+    }), env, ctx);
+    assert.equal(response.status, 500);
+    assert.equal(response.headers.get('Content-Type'), 'application/json');
+    assert.equal((await response.json()).error, 'Internal server error');
+  });
+  
+  test('/user-token/start is rate limited per client IP', async () => {
+    env.RATE_LIMIT = memoryKV();
+    env.RATE_LIMIT_START = '2/60';
+    
+    const start = (ip) => worker.default.fetch(new Request('https://example.com/user-token/start', {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': ip },
+      body: '{}'
+    }), env, ctx);
+    
+    assert.equal((await start('203.0.113.1')).status, 200);
+    assert.equal((await start('203.0.113.1')).status, 200);
+    
+    const limited = await start('203.0.113.1');
+    assert.equal(limited.status, 429);
+    assert.ok(parseInt(limited.headers.get('Retry-After'), 10) > 0);
+    assert.equal((await limited.json()).error, 'rate_limited');
+    
+    // Other clients are not affected
+    assert.equal((await start('203.0.113.2')).status, 200);
+    
+    // Nothing reached GitHub for the rejected call
+    const deviceCodeCalls = global.fetch.mock.calls.filter(call => call.arguments[0].includes('/login/device/code'));
+    assert.equal(deviceCodeCalls.length, 3);
+  });
+  
+  test('/user-token/poll is rate limited per device code', async () => {
+    env.RATE_LIMIT = memoryKV();
+    env.RATE_LIMIT_POLL_DEVICE = '1/60';
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    
+    const poll = (ip) => worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': ip },
+      body: JSON.stringify({ device_code: 'device_abc123' })
+    }), env, ctx);
+    
+    assert.equal((await poll('203.0.113.1')).status, 200);
+    assert.equal((await poll('203.0.113.2')).status, 429);
+  });
+  
+  test('/auth/start is rate limited', async () => {
+    env.RATE_LIMIT = memoryKV();
+    env.RATE_LIMIT_START = '1/60';
+    
+    const start = () => worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': '203.0.113.1' }
+    }), env, ctx);
+    
+    assert.equal((await start()).status, 200);
+    assert.equal((await start()).status, 429);
+  });
+  
+  test('registered clients need a valid API key', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.BROKER_CLIENTS = JSON.stringify({
+      'ai-aligned-gh': { key_sha256: sha256('abk_cli'), flows: ['device'] },
+      'dashboard': { key_sha256: sha256('abk_dash'), flows: ['web'] }
+    });
+    
+    const start = (headers) => worker.default.fetch(new Request('https://example.com/user-token/start', {
+      method: 'POST',
+      headers,
+      body: '{}'
+    }), env, ctx);
+    
+    const anonymous = await start({});
+    assert.equal(anonymous.status, 401);
+    assert.equal((await anonymous.json()).error, 'invalid_client');
+    
+    assert.equal((await start({ 'X-API-Key': 'abk_wrong' })).status, 401);
+    
+    const wrongFlow = await start({ 'X-API-Key': 'abk_dash' });
+    assert.equal(wrongFlow.status, 403);
+    assert.equal((await wrongFlow.json()).error, 'unauthorized_client');
+    
+    const allowed = await start({ 'X-API-Key': 'abk_cli' });
+    assert.equal(allowed.status, 200);
+    
+    // The client name is recorded with the flow
+    const stored = JSON.parse(env.DEVICE_CODES.put.mock.calls[0].arguments[1]);
+    assert.equal(stored.client, 'ai-aligned-gh');
+  });
+  
+  test('only the starting client can collect a token', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.BROKER_CLIENTS = JSON.stringify({
+      'ai-aligned-gh': { key_sha256: sha256('abk_cli'), flows: ['device'] },
+      'other-tool': { key_sha256: sha256('abk_other'), flows: ['device'] }
+    });
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now(),
+      client: 'ai-aligned-gh'
+    }));
+    
+    const poll = (key) => worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      headers: { 'X-API-Key': key },
+      body: JSON.stringify({ device_code: 'device_abc123' })
+    }), env, ctx);
+    
+    const stolen = await poll('abk_other');
+    assert.equal(stolen.status, 400);
+    assert.equal((await stolen.json()).error, 'invalid_grant');
+    
+    assert.equal((await poll('abk_cli')).status, 200);
+  });
+  
+  test('web flow endpoints require a registered client, the callback does not', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.BROKER_CLIENTS = JSON.stringify({
+      'dashboard': { key_sha256: sha256('abk_dash'), flows: ['web'] }
+    });
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    
+    const anonymous = await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST'
+    }), env, ctx);
+    assert.equal(anonymous.status, 401);
+    
+    const startResponse = await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST',
+      headers: { 'X-API-Key': 'abk_dash' }
+    }), env, ctx);
+    assert.equal(startResponse.status, 200);
+    const { state, poll_secret } = await startResponse.json();
+    
+    const callbackResponse = await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?code=code123&state=${state}`
+    ), env, ctx);
+    assert.equal(callbackResponse.status, 200);
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      headers: { 'X-API-Key': 'abk_dash' },
+      body: JSON.stringify({ state, poll_secret })
+    }), env, ctx);
+    assert.equal(pollResponse.status, 200);
+  });
+  
+  test('access policy releases tokens to members of allowed orgs', async () => {
+    env.ACCESS_POLICY = JSON.stringify({ allow: { orgs: ['octo-org'] } });
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async (url) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      if (url.endsWith('/user/memberships/orgs/octo-org')) {
+        return new Response(JSON.stringify({ state: 'active' }));
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_usertoken456',
+        expires_in: 28800
+      }));
+    });
+    
+    const response = await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123' })
+    }), env, ctx);
+    
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).access_token, 'ghu_usertoken456');
+  });
+  
+  test('access policy revokes and withholds tokens of other users', async () => {
+    env.ACCESS_POLICY = JSON.stringify({
+      allow: { orgs: ['octo-org'], teams: ['octo-org/agents'] },
+      deny: { logins: ['mallory'] }
+    });
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      if (url.includes('/memberships/')) {
+        return new Response('Not found', { status: 404 });
+      }
+      if (options?.method === 'DELETE') {
+        return new Response(null, { status: 204 });
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_usertoken456',
+        expires_in: 28800
+      }));
+    });
+    
+    const response = await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123' })
+    }), env, ctx);
+    
+    assert.equal(response.status, 403);
+    const data = await response.json();
+    assert.equal(data.error, 'access_denied');
+    assert.equal(data.login, 'testuser');
+    assert.equal(data.access_token, undefined);
+    
+    // Team membership is looked up per login
+    const urls = global.fetch.mock.calls.map(call => call.arguments[0]);
+    assert.ok(urls.some(url => url.endsWith('/orgs/octo-org/teams/agents/memberships/testuser')));
+    
+    const revoke = global.fetch.mock.calls.find(call => call.arguments[1]?.method === 'DELETE');
+    assert.ok(revoke.arguments[0].endsWith('/applications/Iv1.abc123def456/token'));
+    assert.deepEqual(JSON.parse(revoke.arguments[1].body), { access_token: 'ghu_usertoken456' });
+  });
+  
+  test('access policy denials are reported by /auth/poll', async () => {
+    env.ACCESS_POLICY = JSON.stringify({ deny: { logins: ['TestUser'] } });
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      if (options?.method === 'DELETE') {
+        return new Response(null, { status: 204 });
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_usertoken456',
+        expires_in: 28800
+      }));
+    });
+    
+    const startResponse = await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST'
+    }), env, ctx);
+    const { state, poll_secret } = await startResponse.json();
+    
+    const callbackResponse = await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?code=code123&state=${state}`
+    ), env, ctx);
+    assert.equal(callbackResponse.status, 403);
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state, poll_secret })
+    }), env, ctx);
+    assert.equal(pollResponse.status, 403);
+    const data = await pollResponse.json();
+    assert.equal(data.error, 'access_denied');
+    assert.equal(data.access_token, undefined);
+    assert.ok(global.fetch.mock.calls.some(call => call.arguments[1]?.method === 'DELETE'));
+  });
+  
+  test('access policy is checked again when a token is refreshed', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.BROKER_CLIENTS = JSON.stringify({
+      'ai-aligned-gh': { key_sha256: sha256('abk_cli'), flows: ['device'] }
+    });
+    env.ACCESS_POLICY = JSON.stringify({ allow: { orgs: ['octo-org'] } });
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUDIT_LOG = memoryKV();
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      // The user has left the org since the token was issued
+      if (url.includes('/memberships/')) {
+        return new Response('Not found', { status: 404 });
+      }
+      if (options?.method === 'DELETE') {
+        return new Response(null, { status: 204 });
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_fresh',
+        expires_in: 28800,
+        refresh_token: 'ghr_next',
+        refresh_token_expires_in: 15897600
+      }));
+    });
+    
+    const response = await worker.default.fetch(new Request('https://example.com/user-token/refresh', {
+      method: 'POST',
+      headers: { 'X-API-Key': 'abk_cli' },
+      body: JSON.stringify({ refresh_token: 'ghr_refresh789' })
+    }), env, ctx);
+    
+    assert.equal(response.status, 403);
+    const data = await response.json();
+    assert.equal(data.error, 'access_denied');
+    assert.equal(data.access_token, undefined);
+    assert.equal(data.refresh_token, undefined);
+    
+    const revoke = global.fetch.mock.calls.find(call => call.arguments[1]?.method === 'DELETE');
+    assert.deepEqual(JSON.parse(revoke.arguments[1].body), { access_token: 'ghu_fresh' });
+    
+    const [event] = [...env.AUDIT_LOG.store.values()].map(value => JSON.parse(value));
+    assert.equal(event.event, 'flow.denied');
+    assert.equal(event.client, 'ai-aligned-gh');
+  });
+  
+  test('tokens are revoked, not released, when the access policy cannot be checked', async () => {
+    env.ACCESS_POLICY = JSON.stringify({ allow: { orgs: ['octo-org'] } });
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.DEVICE_CODES = memoryKV();
+    env.AUTH_STATES = memoryKV();
+    await env.DEVICE_CODES.put('device_abc123', JSON.stringify({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.endsWith('/user')) {
+        return new Response('Bad Gateway', { status: 502 });
+      }
+      if (options?.method === 'DELETE') {
+        return new Response(null, { status: 204 });
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_usertoken456',
+        expires_in: 28800,
+        refresh_token: 'ghr_next'
+      }));
+    });
+    const post = (path, body) => worker.default.fetch(new Request(`https://example.com${path}`, {
+      method: 'POST',
+      body: JSON.stringify(body)
+    }), env, ctx);
+    const revocations = () => global.fetch.mock.calls.filter(call => call.arguments[1]?.method === 'DELETE').length;
+    
+    // Device flow: the device code stays, as nothing was decided
+    const poll = await post('/user-token/poll', { device_code: 'device_abc123' });
+    assert.equal(poll.status, 502);
+    assert.equal((await poll.json()).error, 'server_error');
+    assert.equal(env.DEVICE_CODES.store.has('device_abc123'), true);
+    assert.equal(revocations(), 1);
+    
+    // Web flow: the user sees an error page and /auth/poll reports the failure
+    const { state, poll_secret } = await (await post('/auth/start', {})).json();
+    const callback = await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?code=code123&state=${state}`
+    ), env, ctx);
+    assert.equal(callback.status, 502);
+    assert.match(await callback.text(), /GitHub Unavailable/);
+    const webPoll = await post('/auth/poll', { state, poll_secret });
+    assert.equal(webPoll.status, 400);
+    assert.equal((await webPoll.json()).error, 'temporarily_unavailable');
+    assert.equal(revocations(), 2);
+    
+    // Refresh
+    const refresh = await post('/user-token/refresh', { refresh_token: 'ghr_refresh789' });
+    assert.equal(refresh.status, 502);
+    assert.equal((await refresh.json()).access_token, undefined);
+    assert.equal(revocations(), 3);
+  });
+  
+  test('access policy denials on refresh end vault sessions', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.TOKEN_VAULT = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({
+      access_token: 'ghu_almostexpired',
+      expires_in: 60,
+      refresh_token: 'ghr_refresh789',
+      refresh_token_expires_in: 15897600
+    })));
+    
+    const { session } = await (await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123', session: true })
+    }), env, ctx)).json();
+    
+    env.ACCESS_POLICY = JSON.stringify({ deny: { logins: ['testuser'] } });
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      if (options?.method === 'DELETE') {
+        return new Response(null, { status: 204 });
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_fresh',
+        expires_in: 28800,
+        refresh_token: 'ghr_next',
+        refresh_token_expires_in: 15897600
+      }));
+    });
+    
+    const sessionToken = () => worker.default.fetch(new Request('https://example.com/session/token', {
+      method: 'POST',
+      body: JSON.stringify({ session })
+    }), env, ctx);
+    
+    const response = await sessionToken();
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).access_token, undefined);
+    assert.equal(env.TOKEN_VAULT.store.size, 0);
+    assert.equal((await sessionToken()).status, 401);
+  });
+  
+  test('flows are recorded in the audit log', async () => {
+    env.AUDIT_LOG = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async (url) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_usertoken456',
+        expires_in: 28800,
+        scope: ''
+      }));
+    });
+    
+    await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': '203.0.113.7', 'User-Agent': 'ai-aligned-gh/1.0' },
+      body: JSON.stringify({ device_code: 'device_abc123' })
+    }), env, ctx);
+    
+    env.DEVICE_CODES.get = mock.fn(async () => null);
+    await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_gone' })
+    }), env, ctx);
+    
+    const events = [...env.AUDIT_LOG.store.values()].map(value => JSON.parse(value));
+    assert.deepEqual(events.map(event => event.event), ['flow.completed', 'flow.expired']);
+    assert.equal(events[0].flow, 'device');
+    assert.equal(events[0].login, 'testuser');
+    assert.equal(events[0].user_id, 12345);
+    assert.equal(events[0].ip, '203.0.113.7');
+    assert.equal(events[0].user_agent, 'ai-aligned-gh/1.0');
+    
+    // Tokens never end up in the log
+    assert.ok(![...env.AUDIT_LOG.store.values()].some(value => value.includes('ghu_')));
+  });
+  
+  test('refreshes, revocations and installation tokens are recorded in the audit log', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.BROKER_CLIENTS = JSON.stringify({
+      'ai-aligned-gh': { key_sha256: sha256('abk_cli'), flows: ['device'] }
+    });
+    env.AUDIT_LOG = memoryKV();
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.ENABLE_INSTALLATION_TOKENS = 'true';
+    env.INSTALLATION_TOKEN_REPOS = 'octocat/hello-world';
+    const githubMock = global.fetch;
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.endsWith('/user') && options.headers['Authorization'] !== 'Bearer valid_github_token') {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      if (options?.method === 'DELETE') {
+        return new Response(null, { status: 204 });
+      }
+      if (url.includes('/login/oauth/access_token')) {
+        return new Response(JSON.stringify({
+          access_token: 'ghu_fresh',
+          expires_in: 28800,
+          refresh_token: 'ghr_next',
+          scope: ''
+        }));
+      }
+      return githubMock(url, options);
+    });
+    
+    const post = (path, body, headers) => worker.default.fetch(new Request(`https://example.com${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    }), env, ctx);
+    const cli = { 'X-API-Key': 'abk_cli' };
+    assert.equal((await post('/user-token/refresh', { refresh_token: 'ghr_refresh789' }, cli)).status, 200);
+    assert.equal((await post('/user-token/revoke', { access_token: 'ghu_fresh' }, cli)).status, 200);
+    assert.equal((await post('/token', { owner: 'octocat', repo: 'hello-world' }, {
+      'Authorization': 'Bearer valid_github_token'
+    })).status, 201);
+    
+    const events = [...env.AUDIT_LOG.store.values()].map(value => JSON.parse(value));
+    assert.deepEqual(events.map(event => event.event), ['token.refreshed', 'token.revoked', 'installation_token.issued']);
+    for (const event of events) {
+      assert.equal(event.login, 'testuser');
+      assert.equal(event.user_id, 12345);
+    }
+    assert.equal(events[0].client, 'ai-aligned-gh');
+    assert.equal(events[1].client, 'ai-aligned-gh');
+    assert.equal(events[2].repository, 'octocat/hello-world');
+    assert.deepEqual(events[2].permissions, { contents: 'read', metadata: 'read' });
+    
+    // The owner was looked up before the token stopped working
+    const calls = global.fetch.mock.calls.map(call => call.arguments);
+    const lookup = calls.findIndex(([url, options]) => url.endsWith('/user') && options.headers['Authorization'] === 'Bearer ghu_fresh');
+    assert.ok(lookup >= 0 && lookup < calls.findIndex(([, options]) => options?.method === 'DELETE'));
+    assert.ok(![...env.AUDIT_LOG.store.values()].some(value => /gh[usr]_/.test(value)));
+  });
+  
+  test('/admin/audit requires the admin key and filters events', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.AUDIT_LOG = memoryKV();
+    const put = (time, event, login) => env.AUDIT_LOG.put(
+      `audit:${time}:0000`,
+      JSON.stringify({ time, event, login }),
+      { metadata: { event, login } }
+    );
+    await put('2026-01-01T10:00:00.000Z', 'flow.started', undefined);
+    await put('2026-01-01T10:01:00.000Z', 'flow.completed', 'testuser');
+    await put('2026-01-02T10:00:00.000Z', 'flow.completed', 'octocat');
+    await put('2026-01-03T10:00:00.000Z', 'token.revoked', 'testuser');
+    
+    const query = (search, key = 'adm_secret') => worker.default.fetch(new Request(
+      `https://example.com/admin/audit${search}`,
+      { headers: { 'Authorization': `Bearer ${key}` } }
+    ), env, ctx);
+    
+    // The admin API does not exist until a key is configured
+    assert.equal((await query('')).status, 404);
+    
+    env.ADMIN_API_KEY_SHA256 = sha256('adm_secret');
+    assert.equal((await query('', 'wrong')).status, 401);
+    
+    const all = await (await query('')).json();
+    assert.equal(all.count, 4);
+    
+    const byUser = await (await query('?login=TestUser&event=flow.completed')).json();
+    assert.deepEqual(byUser.events.map(event => event.time), ['2026-01-01T10:01:00.000Z']);
+    
+    const byTime = await (await query('?from=2026-01-01T10:00:30Z&to=2026-01-02T23:59:59Z')).json();
+    assert.deepEqual(byTime.events.map(event => event.login), ['testuser', 'octocat']);
+    
+    const badTime = await query('?from=yesterday');
+    assert.equal(badTime.status, 400);
+    
+    const jsonl = await query('?login=testuser&format=jsonl');
+    assert.equal(jsonl.headers.get('Content-Type'), 'application/x-ndjson');
+    const lines = (await jsonl.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(event => event.event), ['flow.completed', 'token.revoked']);
+  });
+  
+  test('/admin/pending lists flows without revealing codes', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.ADMIN_API_KEY_SHA256 = sha256('adm_secret');
+    env.DEVICE_CODES = memoryKV();
+    env.AUTH_STATES = memoryKV();
+    await env.DEVICE_CODES.put('device_abc123', JSON.stringify({
+      user_code: 'ABCD-1234',
+      client: 'ai-aligned-gh',
+      created_at: Date.parse('2026-01-01T10:00:00Z')
+    }));
+    await env.AUTH_STATES.put('5f0c6b1e-state', JSON.stringify({
+      status: 'pending',
+      created_at: Date.parse('2026-01-01T10:05:00Z')
+    }));
+    await env.DEVICE_CODES.put('app:reviewer-bot:device_def456', JSON.stringify({
+      user_code: 'WXYZ-9876',
+      created_at: Date.parse('2026-01-01T10:10:00Z')
+    }));
+    
+    const response = await worker.default.fetch(new Request('https://example.com/admin/pending', {
+      headers: { 'Authorization': 'Bearer adm_secret' }
+    }), env, ctx);
+    
+    assert.equal(response.status, 200);
+    const { pending } = await response.json();
+    assert.deepEqual(pending.map(entry => [entry.flow, entry.id, entry.status]), [
+      ['device', 'device_a', 'pending'],
+      ['web', '5f0c6b1e', 'pending']
+    ]);
+    assert.equal(pending[0].user_code, 'ABCD-1234');
+    assert.equal(pending[0].client, 'ai-aligned-gh');
+    assert.ok(!JSON.stringify(pending).includes('device_abc123'));
+  });
+  
+  test('/admin/users revokes the grant of a user through their vault session', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.ADMIN_API_KEY_SHA256 = sha256('adm_secret');
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.TOKEN_VAULT = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now(),
+      client: 'ai-aligned-gh'
+    }));
+    global.fetch = mock.fn(async (url, options) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      if (url.endsWith('/grant')) {
+        // The vaulted token has expired, the refreshed one works
+        const { access_token } = JSON.parse(options.body);
+        return new Response(null, { status: access_token === 'ghu_refreshed' ? 204 : 422 });
+      }
+      if (options.body.includes('grant_type=refresh_token')) {
+        return new Response(JSON.stringify({ access_token: 'ghu_refreshed', expires_in: 28800 }));
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_usertoken456',
+        expires_in: 28800,
+        refresh_token: 'ghr_refresh789',
+        refresh_token_expires_in: 15897600
+      }));
+    });
+    
+    await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123', session: true })
+    }), env, ctx);
+    
+    const admin = (path, method = 'GET') => worker.default.fetch(new Request(`https://example.com${path}`, {
+      method,
+      headers: { 'Authorization': 'Bearer adm_secret' }
+    }), env, ctx);
+    
+    const tokens = await (await admin('/admin/users/TestUser/tokens')).json();
+    assert.equal(tokens.sessions.length, 1);
+    assert.equal(tokens.sessions[0].client, 'ai-aligned-gh');
+    assert.equal(tokens.sessions[0].user_id, 12345);
+    
+    assert.equal((await admin('/admin/users/testuser/revoke')).status, 405);
+    
+    const revokeResponse = await admin('/admin/users/testuser/revoke', 'POST');
+    assert.equal(revokeResponse.status, 200);
+    assert.deepEqual(await revokeResponse.json(), {
+      login: 'testuser',
+      grant_revoked: true,
+      sessions_removed: 1
+    });
+    assert.equal(env.TOKEN_VAULT.store.size, 0);
+    
+    // Nothing left to revoke with
+    const again = await (await admin('/admin/users/testuser/revoke', 'POST')).json();
+    assert.equal(again.grant_revoked, false);
+    assert.match(again.message, /settings\/apps\/authorizations/);
+  });
+  
+  test('/admin/users removes sessions even when GitHub fails to revoke the grant', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.ADMIN_API_KEY_SHA256 = sha256('adm_secret');
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.TOKEN_VAULT = memoryKV();
+    env.AUDIT_LOG = memoryKV();
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async (url) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      if (url.endsWith('/grant')) {
+        return new Response('Internal Server Error', { status: 500 });
+      }
+      return new Response(JSON.stringify({
+        access_token: 'ghu_usertoken456',
+        expires_in: 28800
+      }));
+    });
+    
+    await worker.default.fetch(new Request('https://example.com/user-token/poll', {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123', session: true })
+    }), env, ctx);
+    
+    const response = await worker.default.fetch(new Request('https://example.com/admin/users/testuser/revoke', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer adm_secret' }
+    }), env, ctx);
+    assert.equal(response.status, 502);
+    const data = await response.json();
+    assert.equal(data.grant_revoked, false);
+    assert.equal(data.sessions_removed, 1);
+    assert.match(data.error_description, /GitHub returned 500/);
+    assert.equal(env.TOKEN_VAULT.store.size, 0);
+    
+    const events = [...env.AUDIT_LOG.store.values()].map(value => JSON.parse(value));
+    const revoked = events.find(event => event.event === 'token.revoked');
+    assert.equal(revoked.login, 'testuser');
+    assert.match(revoked.reason, /grant revocation failed/);
+  });
+  
+  test('/.well-known/oauth-authorization-server describes the OAuth endpoints', async () => {
+    const response = await worker.default.fetch(new Request(
+      'https://broker.example.com/.well-known/oauth-authorization-server'
+    ), env, ctx);
+    
+    assert.equal(response.status, 200);
+    const metadata = await response.json();
+    assert.equal(metadata.issuer, 'https://broker.example.com');
+    assert.equal(metadata.token_endpoint, 'https://broker.example.com/oauth/token');
+    assert.equal(metadata.device_authorization_endpoint, 'https://broker.example.com/oauth/device_authorization');
+    assert.deepEqual(metadata.grant_types_supported, [
+      'urn:ietf:params:oauth:grant-type:device_code',
+      'refresh_token'
+    ]);
+  });
+  
+  test('/oauth endpoints run the device flow with form-encoded requests', async () => {
+    const form = (path, params) => worker.default.fetch(new Request(`https://example.com${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    }), env, ctx);
+    
+    const authorization = await form('/oauth/device_authorization', { client_id: 'any' });
+    assert.equal(authorization.status, 200);
+    const { device_code, user_code, interval } = await authorization.json();
+    assert.equal(device_code, 'device_abc123');
+    assert.equal(user_code, 'ABCD-1234');
+    assert.equal(interval, 5);
+    
+    const json = await worker.default.fetch(new Request('https://example.com/oauth/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ grant_type: 'refresh_token' })
+    }), env, ctx);
+    assert.equal(json.status, 400);
+    assert.equal((await json.json()).error, 'invalid_request');
+    
+    const unsupported = await form('/oauth/token', { grant_type: 'password' });
+    assert.equal(unsupported.status, 400);
+    assert.equal((await unsupported.json()).error, 'unsupported_grant_type');
+    
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now(),
+      interval: 5
+    }));
+    const grant = { grant_type: 'urn:ietf:params:oauth:grant-type:device_code', device_code: 'device_abc123' };
+    
+    // Pending and slow_down are plain 400 errors, not 202/429
+    const realFetch = global.fetch;
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({ error: 'authorization_pending' })));
+    const pending = await form('/oauth/token', grant);
+    assert.equal(pending.status, 400);
+    assert.equal((await pending.json()).error, 'authorization_pending');
+    
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({ error: 'slow_down' })));
+    const slow = await form('/oauth/token', grant);
+    assert.equal(slow.status, 400);
+    assert.equal((await slow.json()).error, 'slow_down');
+    
+    global.fetch = realFetch;
+    const token = await form('/oauth/token', grant);
+    assert.equal(token.status, 200);
+    assert.equal(token.headers.get('Cache-Control'), 'no-store');
+    const data = await token.json();
+    assert.equal(data.access_token, 'ghu_usertoken456');
+    assert.equal(data.token_type, 'bearer');
+    assert.ok(data.expires_in > 28000 && data.expires_in <= 28800);
+    assert.equal(data.expires_at, undefined);
+  });
+  
+  test('/oauth/token maps refresh errors and authenticates clients', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.BROKER_CLIENTS = JSON.stringify({
+      'ai-aligned-gh': { key_sha256: sha256('abk_cli'), flows: ['device'] }
+    });
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({
+      error: 'bad_refresh_token',
+      error_description: 'The refresh token passed is incorrect or expired.'
+    })));
+    
+    const refresh = (headers, params = {}) => worker.default.fetch(new Request('https://example.com/oauth/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+      body: new URLSearchParams({ grant_type: 'refresh_token', refresh_token: 'ghr_old', ...params }).toString()
+    }), env, ctx);
+    
+    const anonymous = await refresh({});
+    assert.equal(anonymous.status, 401);
+    assert.equal((await anonymous.json()).error, 'invalid_client');
+    
+    const wrongName = await refresh({}, { client_id: 'someone-else', client_secret: 'abk_cli' });
+    assert.equal(wrongName.status, 401);
+    
+    const basic = Buffer.from('ai-aligned-gh:abk_cli').toString('base64');
+    const response = await refresh({ 'Authorization': `Basic ${basic}` });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), {
+      error: 'invalid_grant',
+      error_description: 'The refresh token passed is incorrect or expired.'
+    });
+    
+    const post = await refresh({}, { client_id: 'ai-aligned-gh', client_secret: 'abk_cli' });
+    assert.equal((await post.json()).error, 'invalid_grant');
+  });
+  
+  test('CORS preflight and headers follow ALLOWED_ORIGINS', async () => {
+    env.ALLOWED_ORIGINS = 'https://dashboard.example.com, http://localhost:5173';
+    
+    const preflight = await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'OPTIONS',
+      headers: { 'Origin': 'https://dashboard.example.com' }
+    }), env, ctx);
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('Access-Control-Allow-Origin'), 'https://dashboard.example.com');
+    assert.match(preflight.headers.get('Access-Control-Allow-Headers'), /X-API-Key/);
+    
+    const foreign = await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'OPTIONS',
+      headers: { 'Origin': 'https://evil.example.com' }
+    }), env, ctx);
+    assert.equal(foreign.status, 403);
+    assert.equal(foreign.headers.get('Access-Control-Allow-Origin'), undefined);
+    
+    const response = await worker.default.fetch(new Request('https://example.com/user-token/start', {
+      method: 'POST',
+      headers: { 'Origin': 'http://localhost:5173' },
+      body: '{}'
+    }), env, ctx);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), 'http://localhost:5173');
+    assert.equal(response.headers.get('Vary'), 'Origin');
+    
+    const sameOrigin = await worker.default.fetch(new Request('https://example.com/health'), env, ctx);
+    assert.equal(sameOrigin.headers.get('Access-Control-Allow-Origin'), undefined);
+  });
+  
+  test('web flow redirects back to allowed redirect_uris with a one-time code', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    env.ALLOWED_REDIRECT_URIS = 'https://dashboard.example.com/auth/done';
+    
+    const start = (redirect_uri) => worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST',
+      body: JSON.stringify({ redirect_uri })
+    }), env, ctx);
+    
+    const rejected = await start('https://evil.example.com/auth/done');
+    assert.equal(rejected.status, 400);
+    assert.equal((await rejected.json()).error, 'invalid_request');
+    
+    const { state, poll_secret } = await (await start('https://dashboard.example.com/auth/done')).json();
+    
+    const callbackResponse = await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?code=code123&state=${state}`
+    ), env, ctx);
+    assert.equal(callbackResponse.status, 302);
+    const location = new URL(callbackResponse.headers.get('Location'));
+    assert.equal(location.origin + location.pathname, 'https://dashboard.example.com/auth/done');
+    assert.equal(location.searchParams.get('state'), state);
+    const code = location.searchParams.get('code');
+    assert.match(code, /^[0-9a-f]{64}$/);
+    
+    const poll = (body) => worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state, poll_secret, ...body })
+    }), env, ctx);
+    
+    const withoutCode = await poll({});
+    assert.equal(withoutCode.status, 400);
+    assert.equal((await withoutCode.json()).error, 'invalid_grant');
+    
+    const pollResponse = await poll({ code });
+    assert.equal(pollResponse.status, 200);
+    assert.equal((await pollResponse.json()).access_token, 'ghu_usertoken456');
+    
+    // The code works once
+    assert.equal((await poll({ code })).status, 400);
+  });
+  
+  test('install-and-authorize links the installation callback to the session', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    
+    const start = () => worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST',
+      body: JSON.stringify({ install: true })
+    }), env, ctx);
+    
+    assert.equal((await start()).status, 500);
+    env.GITHUB_APP_SLUG = 'as-a-bot';
+    
+    const { auth_url, state, poll_secret } = await (await start()).json();
+    assert.equal(auth_url, `https://github.com/apps/as-a-bot/installations/new?state=${state}`);
+    
+    // "Request user authorization (OAuth) during installation" sends a code along
+    const callbackResponse = await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?code=code123&installation_id=789&setup_action=install&state=${state}`
+    ), env, ctx);
+    assert.equal(callbackResponse.status, 200);
+    assert.match(await callbackResponse.text(), /App Installed and Authorized/);
+    
+    // The installation page requested the code without our PKCE challenge
+    const exchange = new URLSearchParams(global.fetch.mock.calls[0].arguments[1].body);
+    assert.equal(exchange.get('code_verifier'), null);
+    assert.deepEqual([...env.AUTH_STATES.store.keys()], [state]);
+    
+    const pollResponse = await worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state, poll_secret })
+    }), env, ctx);
+    assert.equal(pollResponse.status, 200);
+    const data = await pollResponse.json();
+    assert.equal(data.access_token, 'ghu_usertoken456');
+    assert.equal(data.installation_id, 789);
+  });
+  
+  test('installation callbacks without a code authorize next, requests await approval', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.GITHUB_APP_SLUG = 'as-a-bot';
+    env.AUTH_STATES = memoryKV();
+    
+    const start = async () => (await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST',
+      body: JSON.stringify({ install: true })
+    }), env, ctx)).json();
+    const callback = (query) => worker.default.fetch(new Request(`https://example.com/auth/callback?${query}`), env, ctx);
+    const poll = (flow) => worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state: flow.state, poll_secret: flow.poll_secret })
+    }), env, ctx);
+    
+    const updated = await start();
+    const updateResponse = await callback(`installation_id=789&setup_action=update&state=${updated.state}`);
+    assert.equal(updateResponse.status, 302);
+    const authorize = new URL(updateResponse.headers.get('Location'));
+    assert.equal(authorize.origin + authorize.pathname, 'https://github.com/login/oauth/authorize');
+    assert.equal(authorize.searchParams.get('state'), updated.state);
+    assert.equal(authorize.searchParams.get('code_challenge_method'), 'S256');
+    
+    assert.equal((await callback(`code=code123&state=${updated.state}`)).status, 200);
+    const exchange = new URLSearchParams(global.fetch.mock.calls[0].arguments[1].body);
+    assert.ok(exchange.get('code_verifier'));
+    assert.equal((await (await poll(updated)).json()).installation_id, 789);
+    
+    const requested = await start();
+    const requestResponse = await callback(`setup_action=request&state=${requested.state}`);
+    assert.equal(requestResponse.status, 200);
+    assert.match(await requestResponse.text(), /Installation Requested/);
+    
+    const pollResponse = await poll(requested);
+    assert.equal(pollResponse.status, 403);
+    assert.equal((await pollResponse.json()).error, 'installation_requested');
+    
+    // Installed straight from github.com: nothing to link, no token requested
+    const direct = await callback('installation_id=790&setup_action=install');
+    assert.equal(direct.status, 200);
+    assert.match(await direct.text(), /App Installed/);
+    assert.equal(global.fetch.mock.callCount(), 1);
+  });
+  
+  test('setup callbacks only continue flows started with install', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.GITHUB_APP_SLUG = 'as-a-bot';
+    env.AUTH_STATES = memoryKV();
+    
+    const start = async (body) => (await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    }), env, ctx)).json();
+    const callback = (query) => worker.default.fetch(new Request(`https://example.com/auth/callback?${query}`), env, ctx);
+    
+    // setup_action must not switch PKCE off for an ordinary authorization
+    const ordinary = await start({});
+    const forged = await callback(`code=code123&installation_id=789&setup_action=install&state=${ordinary.state}`);
+    assert.equal(forged.status, 400);
+    assert.match(await forged.text(), /does not belong to this authorization/);
+    
+    // ...and an install flow only continues through the installation page
+    const install = await start({ install: true });
+    assert.equal((await callback(`code=code123&state=${install.state}`)).status, 400);
+    assert.equal(global.fetch.mock.callCount(), 0);
+    
+    assert.equal((await callback(`code=code123&state=${ordinary.state}`)).status, 200);
+    const exchange = new URLSearchParams(global.fetch.mock.calls[0].arguments[1].body);
+    assert.ok(exchange.get('code_verifier'));
+  });
+  
+  test('callback errors end the web flow and /auth/poll reports them at once', async () => {
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.AUTH_STATES = memoryKV();
+    env.AUDIT_LOG = memoryKV();
+    
+    const start = async () => (await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST'
+    }), env, ctx)).json();
+    const callback = (query) => worker.default.fetch(new Request(`https://example.com/auth/callback?${query}`), env, ctx);
+    const poll = (flow) => worker.default.fetch(new Request('https://example.com/auth/poll', {
+      method: 'POST',
+      body: JSON.stringify({ state: flow.state, poll_secret: flow.poll_secret })
+    }), env, ctx);
+    
+    // The user clicked "Cancel" on GitHub
+    const cancelled = await start();
+    const cancelPage = await callback(`error=access_denied&error_description=The+user+has+denied+your+application+access.&state=${cancelled.state}`);
+    assert.equal(cancelPage.status, 403);
+    assert.equal(cancelPage.headers.get('Content-Type'), 'text/html');
+    assert.match(await cancelPage.text(), /Authorization Cancelled/);
+    
+    const cancelPoll = await poll(cancelled);
+    assert.equal(cancelPoll.status, 403);
+    assert.deepEqual(await cancelPoll.json(), {
+      error: 'access_denied',
+      error_description: 'The user has denied your application access.'
+    });
+    
+    const mismatched = await start();
+    assert.equal((await callback(`error=redirect_uri_mismatch&state=${mismatched.state}`)).status, 400);
+    assert.equal((await (await poll(mismatched)).json()).error, 'redirect_uri_mismatch');
+    
+    // The code exchange fails
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({
+      error: 'bad_verification_code',
+      error_description: 'The code passed is incorrect or expired.'
+    })));
+    const failed = await start();
+    const failedPage = await callback(`code=code123&state=${failed.state}`);
+    assert.equal(failedPage.status, 400);
+    assert.match(await failedPage.text(), /The code passed is incorrect or expired\./);
+    
+    const failedPoll = await poll(failed);
+    assert.equal(failedPoll.status, 400);
+    assert.equal((await failedPoll.json()).error, 'bad_verification_code');
+    assert.equal(env.AUTH_STATES.store.size, 0);
+    
+    const events = [...env.AUDIT_LOG.store.values()].map(value => JSON.parse(value).event);
+    assert.deepEqual(events.filter(event => event !== 'flow.started'), ['flow.denied', 'flow.failed', 'flow.failed']);
+    
+    const expiredPage = await callback('code=code123&state=unknown');
+    assert.equal(expiredPage.status, 400);
+    assert.match(await expiredPage.text(), /has expired or does not exist/);
+  });
+  
+  test('callback errors are passed on to web apps with the redirect', async () => {
+    env.AUTH_STATES = memoryKV();
+    env.ALLOWED_REDIRECT_URIS = 'https://dashboard.example.com/auth/done';
+    
+    const { state } = await (await worker.default.fetch(new Request('https://example.com/auth/start', {
+      method: 'POST',
+      body: JSON.stringify({ redirect_uri: 'https://dashboard.example.com/auth/done' })
+    }), env, ctx)).json();
+    
+    const response = await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?error=application_suspended&state=${state}`
+    ), env, ctx);
+    assert.equal(response.status, 302);
+    const location = new URL(response.headers.get('Location'));
+    assert.equal(location.searchParams.get('error'), 'application_suspended');
+    assert.equal(location.searchParams.get('state'), state);
+    assert.equal(location.searchParams.has('error_description'), false);
+  });
+  
+  test('GITHUB_APPS apps get their own credentials and KV keys', async () => {
+    env.DEVICE_CODES = memoryKV();
+    env.ACCESS_POLICY = JSON.stringify({ deny: { logins: ['testuser'] } });
+    env.GITHUB_APPS = JSON.stringify({
+      'reviewer-bot': { name: 'Reviewer Bot', client_id: 'Iv1.reviewer', client_secret: 'reviewer-secret' }
+    });
+    
+    const start = await worker.default.fetch(new Request('https://example.com/apps/reviewer-bot/user-token/start', {
+      method: 'POST',
+      headers: { 'CF-Connecting-IP': '203.0.113.1' },
+      body: '{}'
+    }), env, ctx);
+    assert.equal(start.status, 200);
+    assert.equal(new URLSearchParams(global.fetch.mock.calls[0].arguments[1].body).get('client_id'), 'Iv1.reviewer');
+    assert.deepEqual([...env.DEVICE_CODES.store.keys()], ['app:reviewer-bot:device_abc123']);
+    
+    const poll = (path) => worker.default.fetch(new Request(`https://example.com${path}`, {
+      method: 'POST',
+      body: JSON.stringify({ device_code: 'device_abc123' })
+    }), env, ctx);
+    
+    // The top-level app does not see the flow
+    assert.equal((await (await poll('/user-token/poll')).json()).error, 'expired_token');
+    
+    // The top-level ACCESS_POLICY does not apply to the app either
+    const pollResponse = await poll('/user-token/poll?app=reviewer-bot');
+    assert.equal(pollResponse.status, 200);
+    assert.equal((await pollResponse.json()).access_token, 'ghu_usertoken456');
+    
+    const unknown = await poll('/apps/other-bot/user-token/poll');
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error_description, 'Unknown app: other-bot');
+  });
+  
+  test('GITHUB_APPS web flows call back to the app path and /health lists the apps', async () => {
+    env.AUTH_STATES = memoryKV();
+    env.GITHUB_APPS = JSON.stringify({
+      'reviewer-bot': { name: 'Reviewer Bot', client_id: 'Iv1.reviewer', client_secret: 'reviewer-secret' }
+    });
+    
+    const startResponse = await worker.default.fetch(new Request('https://example.com/apps/reviewer-bot/auth/start', {
+      method: 'POST'
+    }), env, ctx);
+    const { auth_url, state } = await startResponse.json();
+    const authParams = new URL(auth_url).searchParams;
+    assert.equal(authParams.get('client_id'), 'Iv1.reviewer');
+    assert.equal(authParams.get('redirect_uri'), 'https://example.com/apps/reviewer-bot/auth/callback');
+    assert.ok(env.AUTH_STATES.store.has(`app:reviewer-bot:${state}`));
+    
+    const callback = await worker.default.fetch(new Request(
+      `https://example.com/apps/reviewer-bot/auth/callback?code=code123&state=${state}`
+    ), env, ctx);
+    assert.equal(callback.status, 200);
+    assert.equal(new URLSearchParams(global.fetch.mock.calls[0].arguments[1].body).get('client_secret'), 'reviewer-secret');
+    
+    const health = await (await worker.default.fetch(new Request('https://example.com/health'), env, ctx)).json();
+    assert.deepEqual(health.apps, [{ slug: 'reviewer-bot', name: 'Reviewer Bot', path: '/apps/reviewer-bot' }]);
+    
+    const appHealth = await (await worker.default.fetch(new Request('https://example.com/apps/reviewer-bot/health'), env, ctx)).json();
+    assert.equal(appHealth.app, 'reviewer-bot');
+  });
+  
+  test('GITHUB_APPS apps only see their own issued tokens in the admin API', async () => {
+    const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+    env.ADMIN_API_KEY_SHA256 = sha256('adm_secret');
+    env.AUDIT_LOG = memoryKV();
+    env.GITHUB_APPS = JSON.stringify({
+      'reviewer-bot': { name: 'Reviewer Bot', client_id: 'Iv1.reviewer', client_secret: 'reviewer-secret' }
+    });
+    env.DEVICE_CODES.get = mock.fn(async () => ({
+      device_code: 'device_abc123',
+      created_at: Date.now()
+    }));
+    global.fetch = mock.fn(async (url) => new Response(JSON.stringify(url.endsWith('/user')
+      ? { login: 'testuser', id: 12345 }
+      : { access_token: 'ghu_usertoken456', expires_in: 28800 })));
+    
+    for (const base of ['', '/apps/reviewer-bot']) {
+      await worker.default.fetch(new Request(`https://example.com${base}/user-token/poll`, {
+        method: 'POST',
+        body: JSON.stringify({ device_code: 'device_abc123' })
+      }), env, ctx);
+    }
+    
+    const issued = async (base) => (await (await worker.default.fetch(new Request(`https://example.com${base}/admin/users/testuser/tokens`, {
+      headers: { 'Authorization': 'Bearer adm_secret' }
+    }), env, ctx)).json()).issued;
+    
+    assert.deepEqual((await issued('')).map(event => event.app), [undefined]);
+    assert.deepEqual((await issued('/apps/reviewer-bot')).map(event => event.app), ['reviewer-bot']);
+  });
+  
+  test('/health reports a malformed GITHUB_APPS instead of throwing', async () => {
+    env.GITHUB_APPS = '{"reviewer-bot": ';
+    
+    const response = await worker.default.fetch(new Request('https://example.com/health'), env, ctx);
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error_description, 'GITHUB_APPS is not valid JSON');
+  });
+  
+  test('GitHub Enterprise Server hosts are used for OAuth and the API', async () => {
+    env.GITHUB_URL = 'https://ghe.example.com/';
+    env.GITHUB_API = undefined;
+    env.GITHUB_CLIENT_SECRET = 'secret123';
+    env.GITHUB_APP_SLUG = 'as-a-bot';
+    env.AUTH_STATES = memoryKV();
+    env.ACCESS_POLICY = JSON.stringify({ allow: { logins: ['testuser'] } });
+    env.GITHUB_APPS = JSON.stringify({
+      'dotcom-bot': { client_id: 'Iv1.dotcom', github_url: 'https://github.com' }
+    });
+    global.fetch = mock.fn(async (url) => {
+      if (url.endsWith('/user')) {
+        return new Response(JSON.stringify({ login: 'testuser', id: 12345 }));
+      }
+      if (url.endsWith('/login/device/code')) {
+        return new Response(JSON.stringify({ device_code: 'device_abc123', user_code: 'ABCD-1234', expires_in: 900, interval: 5 }));
+      }
+      return new Response(JSON.stringify({ access_token: 'ghu_usertoken456', expires_in: 28800 }));
+    });
+    
+    const post = (path, body) => worker.default.fetch(new Request(`https://example.com${path}`, {
+      method: 'POST',
+      body: JSON.stringify(body || {})
+    }), env, ctx);
+    
+    await post('/user-token/start');
+    assert.equal(global.fetch.mock.calls[0].arguments[0], 'https://ghe.example.com/login/device/code');
+    
+    const { auth_url, state } = await (await post('/auth/start')).json();
+    assert.ok(auth_url.startsWith('https://ghe.example.com/login/oauth/authorize?'));
+    
+    const install = await (await post('/auth/start', { install: true })).json();
+    assert.ok(install.auth_url.startsWith('https://ghe.example.com/github-apps/as-a-bot/installations/new?'));
+    
+    const callback = await worker.default.fetch(new Request(
+      `https://example.com/auth/callback?code=code123&state=${state}`
+    ), env, ctx);
+    assert.equal(callback.status, 200);
+    assert.deepEqual(global.fetch.mock.calls.slice(1).map(call => call.arguments[0]), [
+      'https://ghe.example.com/login/oauth/access_token',
+      'https://ghe.example.com/api/v3/user'
+    ]);
+    
+    // Apps can live on another host than the deployment
+    await post('/apps/dotcom-bot/user-token/start');
+    assert.equal(global.fetch.mock.calls.at(-1).arguments[0], 'https://github.com/login/device/code');
+  });
+  
+  test('responses carry a request ID and requests are logged as JSON', async () => {
+    const logged = mock.method(console, 'log', () => {});
+    
+    const echoed = await worker.default.fetch(new Request('https://example.com/health', {
+      headers: { 'X-Request-ID': 'req-123' }
+    }), env, ctx);
+    assert.equal(echoed.headers.get('X-Request-ID'), 'req-123');
+    
+    const generated = await worker.default.fetch(new Request('https://example.com/health?code=secret-code'), env, ctx);
+    const requestId = generated.headers.get('X-Request-ID');
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    
+    const line = JSON.parse(logged.mock.calls.at(-1).arguments[0]);
+    assert.equal(line.level, 'info');
+    assert.equal(line.msg, 'request');
+    assert.equal(line.request_id, requestId);
+    assert.equal(line.route, '/health');
+    assert.equal(line.status, 200);
+    assert.ok(!JSON.stringify(line).includes('secret-code'));
+    
+    logged.mock.restore();
+  });
+  
+  test('/metrics serves Prometheus counters to holders of the metrics key', async () => {
+    env.DEVICE_CODES = memoryKV();
+    env.METRICS = { writeDataPoint: mock.fn() };
+    
+    const scrape = (key) => worker.default.fetch(new Request('https://example.com/metrics', {
+      headers: key ? { 'Authorization': `Bearer ${key}` } : {}
+    }), env, ctx);
+    
+    assert.equal((await scrape('mtr_key')).status, 404);
+    env.METRICS_API_KEY_SHA256 = crypto.createHash('sha256').update('mtr_key').digest('hex');
+    assert.equal((await scrape('wrong')).status, 401);
+    
+    const start = await worker.default.fetch(new Request('https://example.com/user-token/start', {
+      method: 'POST',
+      body: '{}'
+    }), env, ctx);
+    assert.equal(start.status, 200);
+    
+    // GitHub failing upstream
+    global.fetch = mock.fn(async () => new Response(JSON.stringify({ message: 'Bad gateway' }), { status: 502 }));
+    await worker.default.fetch(new Request('https://example.com/user-token/start', {
+      method: 'POST',
+      body: '{}'
+    }), env, ctx);
+    
+    const response = await scrape('mtr_key');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'text/plain; version=0.0.4');
+    const text = await response.text();
+    assert.match(text, /^# TYPE broker_flows_total counter$/m);
+    assert.match(text, /^broker_flows_total\{flow="device",outcome="started"\} \d+$/m);
+    assert.match(text, /^broker_requests_total\{route="\/user-token\/start",method="POST",status="200"\} \d+$/m);
+    assert.match(text, /^broker_request_duration_seconds_bucket\{route="\/user-token\/start",le="\+Inf"\} \d+$/m);
+    assert.match(text, /^broker_github_request_duration_seconds_count\{endpoint="\/login\/device\/code"\} \d+$/m);
+    assert.match(text, /^broker_github_errors_total\{endpoint="\/login\/device\/code",status="502"\} \d+$/m);
+    
+    // Every data point also goes to Analytics Engine
+    const points = env.METRICS.writeDataPoint.mock.calls.map(call => call.arguments[0]);
+    assert.ok(points.some(point => point.blobs.join() === 'broker_flows_total,device,started'));
+    assert.deepEqual(points.find(point => point.indexes[0] === 'broker_github_errors_total').blobs, [
+      'broker_github_errors_total', '/login/device/code', '502'
+    ]);
+  });
+  
+});
+
+describe('JWT Tests', () => {
+  const { privateKey: rsaPrivateKey, publicKey: rsaPublicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048
+  });
+  const now = () => Math.floor(Date.now() / 1000);
+  
+  test('signs with a PKCS#1 private key as issued by GitHub', async () => {
+    const pkcs1 = rsaPrivateKey.export({ type: 'pkcs1', format: 'pem' });
+    assert.match(pkcs1, /BEGIN RSA PRIVATE KEY/);
+    
+    const token = await signJWT({ iss: '123456', exp: now() + 600 }, pkcs1);
+    const [header, payload, signature] = token.split('.');
+    
+    const valid = crypto.verify('sha256', Buffer.from(`${header}.${payload}`), rsaPublicKey, Buffer.from(signature, 'base64url'));
+    assert.ok(valid);
+  });
+  
+  test('verifies RS256 tokens with SPKI and PKCS#1 public keys', async () => {
+    const pkcs8 = rsaPrivateKey.export({ type: 'pkcs8', format: 'pem' });
+    const token = await signJWT({ iss: 123456, aud: 'broker', exp: now() + 600 }, pkcs8);
+    
+    const spki = rsaPublicKey.export({ type: 'spki', format: 'pem' });
+    const payload = await verifyJWT(token, spki, { issuer: '123456', audience: 'broker' });
+    assert.equal(payload.iss, 123456);
+    
+    const pkcs1 = rsaPublicKey.export({ type: 'pkcs1', format: 'pem' });
+    assert.ok(await verifyJWT(token, pkcs1));
+  });
+  
+  test('verifies ES256 tokens', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const header = Buffer.from(JSON.stringify({ alg: 'ES256', typ: 'JWT' })).toString('base64url');
+    const body = Buffer.from(JSON.stringify({ sub: 'octocat', exp: now() + 60 })).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), {
+      key: privateKey,
+      dsaEncoding: 'ieee-p1363'
+    }).toString('base64url');
+    
+    const payload = await verifyJWT(`${header}.${body}.${signature}`, publicKey.export({ type: 'spki', format: 'pem' }));
+    assert.equal(payload.sub, 'octocat');
+    
+    // JWK keys work too
+    assert.ok(await verifyJWT(`${header}.${body}.${signature}`, publicKey.export({ format: 'jwk' })));
+  });
+  
+  test('rejects tampered, expired, premature and misaddressed tokens', async () => {
+    const pkcs8 = rsaPrivateKey.export({ type: 'pkcs8', format: 'pem' });
+    const spki = rsaPublicKey.export({ type: 'spki', format: 'pem' });
+    
+    const token = await signJWT({ iss: '123456', exp: now() + 600 }, pkcs8);
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ iss: '999', exp: now() + 600 })).toString('base64url');
+    await assert.rejects(verifyJWT(`${header}.${forged}.${signature}`, spki), /signature/);
+    
+    const expired = await signJWT({ exp: now() - 10 }, pkcs8);
+    await assert.rejects(verifyJWT(expired, spki), /expired/);
+    assert.ok(await verifyJWT(expired, spki, { clockTolerance: 30 }));
+    
+    const premature = await signJWT({ nbf: now() + 300 }, pkcs8);
+    await assert.rejects(verifyJWT(premature, spki), /not yet valid/);
+    
+    await assert.rejects(verifyJWT(token, spki, { issuer: '654321' }), /issuer/);
+    await assert.rejects(verifyJWT(token, spki, { audience: 'broker' }), /audience/);
+    await assert.rejects(verifyJWT(token, spki, { algorithms: ['ES256'] }), /algorithm/);
+    
+    const none = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${forged}.`;
+    await assert.rejects(verifyJWT(none, spki), /algorithm/);
+  });
 });
\ No newline at end of file